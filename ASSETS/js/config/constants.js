@@ -38,6 +38,8 @@ export const BREAKPOINTS = {
     TABLET: 768,
     /** Desktop threshold - below this is considered mobile/tablet */
     DESKTOP: 1024,
+    /** Full desktop layouts (1024-1279 is the laptop layout) */
+    WIDE_DESKTOP: 1280,
     /** Large desktop screens */
     LARGE_DESKTOP: 1440,
     /** Extra large screens */
@@ -150,12 +152,102 @@ export const TOUCH = {
  * Portfolio filtering settings
  */
 export const PORTFOLIO = {
-    /** Default number of visible projects before "View More" */
+    /** Default page size when no PAGE_SIZES entry matches */
     VISIBLE_LIMIT: 6,
+    /**
+     * Projects revealed per page ("Show N more"), widest breakpoint first
+     * Sizes fill whole grid rows: 3 columns on desktop, 2 on tablet, 1 on phones
+     */
+    PAGE_SIZES: [
+        { minWidth: BREAKPOINTS.DESKTOP, size: 6 },
+        { minWidth: BREAKPOINTS.TABLET, size: 4 },
+        { minWidth: 0, size: 3 }
+    ],
     /** Filter animation duration */
     ANIMATION_DURATION: 400,
     /** Debounce delay for filter button clicks */
-    FILTER_DEBOUNCE: 150
+    FILTER_DEBOUNCE: 150,
+    /** localStorage key remembering the grid/timeline view */
+    VIEW_STORAGE_KEY: 'portfolioView',
+    /** localStorage key remembering the sort order */
+    SORT_STORAGE_KEY: 'portfolioSort',
+    /** Projects needed before the comparison dialog can open */
+    COMPARE_MIN: 2,
+    /** Most projects the comparison dialog shows side by side */
+    COMPARE_MAX: 3
+};
+
+// ============================================================================
+// CERTIFICATIONS CAROUSEL
+// ============================================================================
+
+/**
+ * Certification paging settings
+ */
+export const CERT_CAROUSEL = {
+    /**
+     * Certificates per page, widest breakpoint first
+     * 3x2 grid on desktop, 2x2 on laptops and tablets, one card on phones
+     */
+    PAGE_SIZES: [
+        { minWidth: BREAKPOINTS.WIDE_DESKTOP, size: 6 },
+        { minWidth: BREAKPOINTS.TABLET, size: 4 },
+        { minWidth: 0, size: 1 }
+    ],
+    /** Page slide duration (matches the .cert-row transition) */
+    TRANSITION_DURATION: 400,
+    /** Time each page stays on screen when autoplay is on (ms) */
+    AUTOPLAY_INTERVAL: 6000,
+    /** Narrowest viewport (px) that autoplays; phones and tablets page by swipe */
+    AUTOPLAY_MIN_WIDTH: BREAKPOINTS.DESKTOP
+};
+
+/**
+ * Certificate preview overlay zoom and gesture settings
+ */
+export const CERT_VIEWER = {
+    /** Largest zoom factor (1 = fit to screen) */
+    MAX_ZOOM: 4,
+    /** Zoom factor applied by double-click / double-tap */
+    DOUBLE_TAP_ZOOM: 2.5,
+    /** Most time (ms) between two taps of a double-tap */
+    DOUBLE_TAP_DELAY: 300,
+    /** Most movement (px) for a touch to still count as a tap */
+    TAP_TOLERANCE: 10,
+    /** Zoom change per pixel of wheel scroll */
+    WHEEL_ZOOM_SPEED: 0.0015
+};
+
+// ============================================================================
+// PROJECT DEMOS - Embedded live demos and videos in the project modal
+// ============================================================================
+
+/**
+ * Settings for the modal's Demo tab
+ */
+export const DEMO = {
+    /**
+     * iframe sandbox tokens: scripts and forms run, but without allow-same-origin
+     * the demo gets an opaque origin (no access to this page, its cookies or storage)
+     */
+    IFRAME_SANDBOX: 'allow-scripts allow-forms allow-popups',
+    /** Video MIME types by file extension */
+    VIDEO_TYPES: {
+        mp4: 'video/mp4',
+        webm: 'video/webm'
+    }
+};
+
+// ============================================================================
+// ROUTES - Hash-based deep links
+// ============================================================================
+
+/**
+ * URL hash routes handled by modules (not section ids)
+ */
+export const ROUTES = {
+    /** Project detail modal, e.g. #project/campus-network */
+    PROJECT_PREFIX: '#project/'
 };
 
 // ============================================================================
@@ -265,6 +357,10 @@ export default {
     TYPING,
     TOUCH,
     PORTFOLIO,
+    CERT_CAROUSEL,
+    CERT_VIEWER,
+    DEMO,
+    ROUTES,
     Z_INDEX,
     A11Y,
     KEYS,
@@ -24,6 +24,7 @@ export {
     TYPING,
     TOUCH,
     PORTFOLIO,
+    ROUTES,
     Z_INDEX,
     A11Y,
     KEYS,
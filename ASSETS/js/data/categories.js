@@ -0,0 +1,107 @@
+/**
+ * ============================================================================
+ * CATEGORY DATA - categories.js
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Registry of project categories. Each category has a stable slug that is
+ * stored on projects (project.category) and used as the portfolio filter
+ * value, plus the label and icon shown on filter buttons, cards and modals.
+ *
+ * ADDING A CATEGORY:
+ * Add an entry to CATEGORIES and use its slug on a project in projects.js.
+ * The filter buttons are generated from this registry, so no HTML or
+ * module changes are needed. Registry order is the button order.
+ *
+ * USAGE:
+ * import { CATEGORIES, getCategoryBySlug } from '../data/categories.js';
+ *
+ * ============================================================================
+ */
+
+/**
+ * @typedef {Object} Category
+ * @property {string} slug - Stable identifier used in data-filter and project.category
+ * @property {string} label - Display name (e.g., 'Web Development')
+ * @property {string} icon - Font Awesome icon class
+ */
+
+/**
+ * Master category registry
+ *
+ * @type {Object.<string, Category>}
+ */
+export const CATEGORIES = {
+    web: {
+        slug: 'web',
+        label: 'Web Development',
+        icon: 'fas fa-globe'
+    },
+
+    networking: {
+        slug: 'networking',
+        label: 'Networking',
+        icon: 'fas fa-network-wired'
+    },
+
+    python: {
+        slug: 'python',
+        label: 'Python',
+        icon: 'fab fa-python'
+    },
+
+    cpp: {
+        slug: 'cpp',
+        label: 'C++',
+        icon: 'fas fa-code'
+    }
+};
+
+/**
+ * Pseudo-category used by the "All Projects" filter button
+ *
+ * @type {Category}
+ */
+export const ALL_CATEGORY = {
+    slug: 'all',
+    label: 'All Projects',
+    icon: 'fas fa-th-large'
+};
+
+/** Icon used for slugs that are not in the registry */
+const FALLBACK_ICON = 'fas fa-folder';
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Retrieves a category by its slug
+ * Unregistered slugs resolve to a generated entry so a project is never
+ * left without a label
+ *
+ * @param {string} slug - Category slug
+ * @returns {Category} The category entry
+ *
+ * @example
+ * getCategoryBySlug('cpp').label; // 'C++'
+ */
+export function getCategoryBySlug(slug) {
+    if (CATEGORIES[slug]) return CATEGORIES[slug];
+
+    const label = String(slug)
+        .split('-')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+
+    return { slug, label, icon: FALLBACK_ICON };
+}
+
+/**
+ * Returns all registered categories in display order
+ *
+ * @returns {Category[]} Array of category entries
+ */
+export function getAllCategories() {
+    return Object.values(CATEGORIES);
+}
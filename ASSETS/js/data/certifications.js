@@ -0,0 +1,152 @@
+/**
+ * ============================================================================
+ * CERTIFICATION DATA - certifications.js
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Content of the Certifications section. CertificationGrid renders one
+ * .cert-card per entry and CertificationNav splits them into pages for the
+ * current breakpoint, so adding a certificate only needs a new entry here -
+ * no HTML edits and no per-layout duplicate cards.
+ *
+ * ORDER:
+ * Entries are shown in the order they are declared.
+ *
+ * USAGE:
+ * import { getAllCertifications, getCertificationById } from '../data/certifications.js';
+ *
+ * ============================================================================
+ */
+
+import { isPlaceholderUrl } from './validation.js';
+
+/**
+ * @typedef {Object} Certification
+ * @property {string} id - Unique identifier (used for element ids)
+ * @property {string} title - Certificate name
+ * @property {string} issuer - Issuing organization
+ * @property {string} date - Date earned (e.g., 'June 2025')
+ * @property {string} image - Path to the certificate scan
+ * @property {string} [credentialUrl] - Issuer page where the certificate can be verified;
+ *   the card shows the "Verified" badge and a "Verify credential" link only when set
+ * @property {string} [credentialId] - Credential / certificate number, shown with a copy button
+ * @property {string[]} [skills] - Skills covered, shown as chips on the card
+ */
+
+/**
+ * Master certifications data store
+ *
+ * @type {Object.<string, Certification>}
+ */
+export const CERTIFICATIONS = {
+    'simplilearn-networking': {
+        id: 'simplilearn-networking',
+        title: 'Intro to Computer Networking',
+        issuer: 'SimpliLearn',
+        date: 'June 2025',
+        image: 'images/certificates/NETWORKING-SIMPLILEARN-CERTS_page-0001.jpg',
+        credentialUrl: 'https://certificates.simplicdn.net/share/8516570.pdf',
+        credentialId: '8516570'
+    },
+
+    // Placeholder entries - replace with real certificates as they are earned
+    'certificate-2': {
+        id: 'certificate-2',
+        title: 'Certificate Title 2',
+        issuer: 'Issuing Organization',
+        date: 'Month Year',
+        image: 'images/cert-placeholder.jpg'
+    },
+
+    'certificate-3': {
+        id: 'certificate-3',
+        title: 'Certificate Title 3',
+        issuer: 'Issuing Organization',
+        date: 'Month Year',
+        image: 'images/cert-placeholder.jpg'
+    },
+
+    'certificate-4': {
+        id: 'certificate-4',
+        title: 'Certificate Title 4',
+        issuer: 'Issuing Organization',
+        date: 'Month Year',
+        image: 'images/cert-placeholder.jpg'
+    },
+
+    'certificate-5': {
+        id: 'certificate-5',
+        title: 'Certificate Title 5',
+        issuer: 'Issuing Organization',
+        date: 'Month Year',
+        image: 'images/cert-placeholder.jpg'
+    },
+
+    'certificate-6': {
+        id: 'certificate-6',
+        title: 'Certificate Title 6',
+        issuer: 'Issuing Organization',
+        date: 'Month Year',
+        image: 'images/cert-placeholder.jpg'
+    },
+
+    'certificate-7': {
+        id: 'certificate-7',
+        title: 'Certificate Title 7',
+        issuer: 'Issuing Organization',
+        date: 'Month Year',
+        image: 'images/cert-placeholder.jpg'
+    },
+
+    'certificate-8': {
+        id: 'certificate-8',
+        title: 'Certificate Title 8',
+        issuer: 'Issuing Organization',
+        date: 'Month Year',
+        image: 'images/cert-placeholder.jpg'
+    }
+};
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Retrieves a certification by its id
+ *
+ * @param {string} id - Certification id
+ * @returns {Certification|null} The certification, or null if not found
+ */
+export function getCertificationById(id) {
+    return Object.hasOwn(CERTIFICATIONS, id) ? CERTIFICATIONS[id] : null;
+}
+
+/**
+ * Returns all certifications in display order
+ *
+ * @returns {Certification[]}
+ */
+export function getAllCertifications() {
+    return Object.values(CERTIFICATIONS);
+}
+
+/**
+ * Returns the verification link of a certification
+ * Placeholder values ('#', empty, non-http schemes) count as no link
+ *
+ * @param {Certification} certification - Certification data
+ * @returns {string|null} The verification URL, or null if it cannot be verified online
+ */
+export function getCredentialUrl(certification) {
+    const url = certification?.credentialUrl;
+    return isPlaceholderUrl(url) || !/^https?:\/\//i.test(url.trim()) ? null : url.trim();
+}
+
+/**
+ * Gets the total number of certifications
+ *
+ * @returns {number}
+ */
+export function getCertificationCount() {
+    return Object.keys(CERTIFICATIONS).length;
+}
@@ -0,0 +1,138 @@
+/**
+ * ============================================================================
+ * PROJECT DATES - dates.js
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Turns the human-readable `date` ('November 2025') and `duration`
+ * ('3 weeks') strings in projects.js into real Date values, so the
+ * timeline, sorting and related-project scoring work with actual dates.
+ *
+ * USAGE:
+ * import { getProjectDates, groupProjectsByMonth } from '../data/dates.js';
+ *
+ * ============================================================================
+ */
+
+/** @type {string[]} Month names accepted in `date` (e.g. 'November 2025') */
+const MONTHS = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+/** @type {Object.<string, number>} Days per unit accepted in `duration` */
+const DURATION_UNITS = {
+    day: 1,
+    week: 7,
+    month: 30,
+    year: 365
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} ProjectDates
+ * @property {Date} completed - Last day of the completion month
+ * @property {Date|null} started - Estimated start (completion minus duration)
+ * @property {number|null} durationDays - Duration in days, null if unparseable
+ * @property {string} monthKey - 'YYYY-MM' key of the completion month
+ */
+
+/**
+ * Parses a project date written as '<Month> <Year>'
+ *
+ * @param {string} date - Date string from projects.js
+ * @returns {Date|null} First day of that month, or null if unparseable
+ *
+ * @example
+ * parseProjectDate('November 2025'); // Date(2025, 10, 1)
+ */
+export function parseProjectDate(date) {
+    const match = /^([a-z]+)\s+(\d{4})$/i.exec(String(date ?? '').trim());
+    if (!match) return null;
+
+    const month = MONTHS.indexOf(match[1].toLowerCase());
+    return month === -1 ? null : new Date(Number(match[2]), month, 1);
+}
+
+/**
+ * Parses a project duration such as '3 weeks', '1 month' or '10 days'
+ *
+ * @param {string} duration - Duration string from projects.js
+ * @returns {number|null} Length in days, or null if unparseable
+ *
+ * @example
+ * parseProjectDuration('3 weeks'); // 21
+ */
+export function parseProjectDuration(duration) {
+    const match = /^(\d+(?:\.\d+)?)\s*(day|week|month|year)s?$/i.exec(String(duration ?? '').trim());
+    if (!match) return null;
+
+    return Math.round(Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()]);
+}
+
+/**
+ * Returns the real dates behind a project's `date` and `duration`
+ *
+ * @param {Project} project
+ * @returns {ProjectDates|null} Null if the project date cannot be parsed
+ *
+ * @example
+ * getProjectDates(getProjectById('campus-network')).started; // ~ 19 Aug 2025
+ */
+export function getProjectDates(project) {
+    const monthStart = parseProjectDate(project?.date);
+    if (!monthStart) return null;
+
+    const completed = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0);
+    const durationDays = parseProjectDuration(project.duration);
+    const started = durationDays === null
+        ? null
+        : new Date(completed.getTime() - durationDays * MS_PER_DAY);
+
+    return {
+        completed,
+        started,
+        durationDays,
+        monthKey: `${monthStart.getFullYear()}-${String(monthStart.getMonth() + 1).padStart(2, '0')}`
+    };
+}
+
+/**
+ * Groups projects by completion month, newest month first
+ * Projects inside a month are ordered by estimated start (latest first);
+ * projects with unparseable dates are collected in a trailing 'undated' group
+ *
+ * @param {Project[]} projects - Projects to group
+ * @returns {{key: string, label: string, date: Date|null, projects: Project[]}[]}
+ *
+ * @example
+ * groupProjectsByMonth(getAllProjects())[0].label; // 'November 2025'
+ */
+export function groupProjectsByMonth(projects) {
+    const groups = new Map();
+
+    projects.forEach(project => {
+        const dates = getProjectDates(project);
+        const key = dates ? dates.monthKey : 'undated';
+
+        if (!groups.has(key)) {
+            groups.set(key, {
+                key,
+                label: dates ? project.date.trim() : 'Undated',
+                date: dates ? parseProjectDate(project.date) : null,
+                projects: []
+            });
+        }
+        groups.get(key).projects.push(project);
+    });
+
+    const startTime = project => getProjectDates(project)?.started?.getTime() ?? 0;
+
+    return Array.from(groups.values())
+        .sort((a, b) => (b.date?.getTime() ?? -Infinity) - (a.date?.getTime() ?? -Infinity))
+        .map(group => ({
+            ...group,
+            projects: [...group.projects].sort((a, b) => startTime(b) - startTime(a))
+        }));
+}
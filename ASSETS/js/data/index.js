@@ -8,7 +8,7 @@
  * Centralizes access to all portfolio content data.
  * 
  * USAGE:
- * import { PROJECTS, getProjectById } from './data/index.js';
+ * import { PROJECTS, getProjectById, getCategoryBySlug } from './data/index.js';
  * 
  * ============================================================================
  */
@@ -19,6 +19,62 @@ export {
     getProjectById,
     getAllProjects,
     getProjectsByCategory,
+    getProjectImages,
     getProjectCategories,
-    getProjectCount
+    getProjectStatuses,
+    getProjectTechnologies,
+    getRelatedProjects,
+    getProjectCount,
+    setProjects
 } from './projects.js';
+
+// projects.json loading (bundled PROJECTS are the fallback)
+export {
+    PROJECTS_JSON_URL,
+    parseProjectsJSON,
+    loadProjects
+} from './loader.js';
+
+// Certification data and helper functions
+export {
+    CERTIFICATIONS,
+    getCertificationById,
+    getAllCertifications,
+    getCredentialUrl,
+    getCertificationCount
+} from './certifications.js';
+
+// Category registry and helper functions
+export {
+    CATEGORIES,
+    ALL_CATEGORY,
+    getCategoryBySlug,
+    getAllCategories
+} from './categories.js';
+
+// Lifecycle status registry and helper functions
+export {
+    STATUSES,
+    DEFAULT_STATUS,
+    getStatusBySlug,
+    getAllStatuses,
+    getDefaultHiddenStatuses
+} from './statuses.js';
+
+// Real dates parsed from project date/duration strings
+export {
+    parseProjectDate,
+    parseProjectDuration,
+    getProjectDates,
+    groupProjectsByMonth
+} from './dates.js';
+
+// Project data validation (shared with validate-projects.js)
+export {
+    PROJECT_REQUIRED_FIELDS,
+    isPlaceholderUrl,
+    isSameOriginPath,
+    validateProject,
+    validateProjectDemo,
+    getProjectAssetPaths
+} from './validation.js';
@@ -0,0 +1,118 @@
+/**
+ * ============================================================================
+ * PROJECT DATA LOADER - loader.js
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Loads the editable ASSETS/data/projects.json at startup so projects can be
+ * updated without touching ES module syntax. The file is validated with the
+ * same rules as validate-projects.js and cached in memory; if it cannot be
+ * fetched or parsed, the bundled PROJECTS constant in projects.js is used.
+ *
+ * FAILURE HANDLING:
+ * - Network error, timeout, non-2xx response or invalid JSON: bundled data
+ * - Individual entries with validation errors: skipped (logged as warnings)
+ * - No valid entries left: bundled data
+ *
+ * USAGE:
+ * import { loadProjects } from '../data/loader.js';
+ * await loadProjects(); // getAllProjects() etc. now return the loaded set
+ *
+ * ============================================================================
+ */
+
+import { PROJECTS, setProjects, getAllProjects } from './projects.js';
+import { validateProject } from './validation.js';
+
+/** Location of the editable project data, relative to index.html */
+export const PROJECTS_JSON_URL = 'ASSETS/data/projects.json';
+
+/** Milliseconds to wait for projects.json before using the bundled data */
+const LOAD_TIMEOUT = 4000;
+
+/** @type {Promise<Project[]>|null} Cached load (one request per page view) */
+let loadPromise = null;
+
+/**
+ * Validates parsed projects.json content
+ * The file has the same shape as PROJECTS: an object of projects keyed by id
+ *
+ * @param {*} data - Parsed JSON
+ * @returns {{projects: Object.<string, Project>, errors: string[]}} Valid
+ *   entries and one message per rejected entry
+ *
+ * @example
+ * const { projects, errors } = parseProjectsJSON(await response.json());
+ */
+export function parseProjectsJSON(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { projects: {}, errors: ['expected an object of projects keyed by id'] };
+    }
+
+    const projects = {};
+    const errors = [];
+
+    Object.entries(data).forEach(([key, project]) => {
+        const problems = validateProject(project).errors;
+        if (project && project.id !== key) {
+            problems.push(`"id" "${project.id}" does not match its key "${key}"`);
+        }
+
+        if (problems.length) {
+            errors.push(`${key}: ${problems.join('; ')}`);
+        } else {
+            projects[key] = project;
+        }
+    });
+
+    return { projects, errors };
+}
+
+/**
+ * Fetches and validates projects.json
+ *
+ * @param {string} url
+ * @param {number} timeout - Milliseconds before the request is aborted
+ * @returns {Promise<Object.<string, Project>>} Rejects if the file is unusable
+ */
+async function fetchProjects(url, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) throw new Error(`${url} returned HTTP ${response.status}`);
+
+        const { projects, errors } = parseProjectsJSON(await response.json());
+        errors.forEach(message => console.warn(`Project data: Skipped invalid entry - ${message}`));
+
+        if (!Object.keys(projects).length) throw new Error(`${url} contains no valid projects`);
+        return projects;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Loads projects.json once and makes it the active project set
+ * Never rejects: on failure the bundled PROJECTS stay active
+ *
+ * @param {Object} [options]
+ * @param {string} [options.url=PROJECTS_JSON_URL] - JSON location
+ * @param {number} [options.timeout=LOAD_TIMEOUT] - Request timeout in ms
+ * @param {boolean} [options.reload=false] - Ignore the cached result and fetch again
+ * @returns {Promise<Project[]>} The active projects once ready
+ */
+export function loadProjects({ url = PROJECTS_JSON_URL, timeout = LOAD_TIMEOUT, reload = false } = {}) {
+    if (loadPromise && !reload) return loadPromise;
+
+    loadPromise = fetchProjects(url, timeout)
+        .then(projects => setProjects(projects))
+        .catch(error => {
+            console.warn(`Project data: Using bundled projects - ${error.message}`);
+            setProjects(PROJECTS);
+        })
+        .then(() => getAllProjects());
+
+    return loadPromise;
+}
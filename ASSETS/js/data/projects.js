@@ -21,25 +21,77 @@
  * REPLACES:
  * - The getProjectsData() method from ProjectModal.js
  * 
+ * DATA SOURCE:
+ * ASSETS/data/projects.json is the editable copy loaded at startup by
+ * loader.js. PROJECTS below is the bundled fallback; the helpers read
+ * whichever set is active (see setProjects()).
+ * 
  * USAGE:
  * import { PROJECTS, getProjectById, getAllProjects } from '../data/projects.js';
  * 
  * ============================================================================
  */
 
+import { CATEGORIES, getCategoryBySlug } from './categories.js';
+import { STATUSES, getStatusBySlug } from './statuses.js';
+import { parseProjectDate } from './dates.js';
+
+/**
+ * @typedef {Object} ProjectImage
+ * @property {string} src - Path to the screenshot
+ * @property {string} [caption] - Caption shown under the image in the modal gallery
+ * @property {string} [alt] - Alternative text (defaults to the caption or project title)
+ * @property {string} [thumb] - Smaller file for the thumbnail strip (validator warns when a multi-image gallery lacks one)
+ */
+
+/**
+ * @typedef {Object} ProjectDemo
+ * @property {'iframe'|'video'} type - Embedded live demo or local screen recording
+ * @property {string} [src] - iframe: https URL of the running demo (shown in a sandboxed frame)
+ * @property {string[]} [sources] - video: MP4/WebM files, preferred format first
+ * @property {string} [poster] - video: still image shown before playback (required for video)
+ * @property {string} [title] - Accessible name of the frame or video (defaults to "<title> demo")
+ */
+
+/**
+ * @typedef {Object} ProjectSnippet
+ * @property {string} language - 'cpp', 'python', 'javascript', 'php' or 'sql' (aliases such as 'py' work;
+ *   other languages are shown without highlighting)
+ * @property {string} title - Short heading, e.g. 'Borrowing a book'
+ * @property {string} [code] - Inline source
+ * @property {string} [src] - Site-relative path to a source file, fetched when the modal shows it
+ *   (use either code or src)
+ */
+
 /**
  * @typedef {Object} Project
  * @property {string} id - Unique identifier matching data-project attribute in HTML
  * @property {string} title - Display title of the project
- * @property {string} category - Project category (e.g., 'Web Development', 'Networking')
- * @property {string} categoryIcon - Font Awesome icon class for the category
- * @property {string} image - Path to project thumbnail image
+ * @property {string} category - Category slug registered in categories.js (e.g., 'web', 'networking')
+ * @property {string} [status='completed'] - Lifecycle status slug registered in statuses.js
+ *   ('completed', 'maintained', 'in-progress' or 'archived')
+ * @property {string} image - Path to project thumbnail image (card and gallery fallback)
+ * @property {ProjectImage[]} [gallery] - Ordered screenshots for the modal gallery, e.g.
+ *   gallery: [
+ *       { src: 'images/app-dashboard.jpg', caption: 'Admin dashboard' },
+ *       { src: 'images/app-login.jpg', caption: 'Login screen' }
+ *   ]
+ * @property {ProjectDemo} [demo] - Optional live demo or video for the modal's Demo tab, e.g.
+ *   demo: { type: 'iframe', src: 'https://user.github.io/app/' }
+ *   demo: { type: 'video', sources: ['videos/app.webm', 'videos/app.mp4'], poster: 'images/app.jpg' }
+ * @property {ProjectSnippet[]} [snippets] - Code excerpts shown highlighted in the modal, e.g.
+ *   snippets: [
+ *       { language: 'cpp', title: 'Issuing a book', src: 'snippets/library/issue.cpp' },
+ *       { language: 'sql', title: 'Overdue loans', code: 'SELECT * FROM loans WHERE due < NOW();' }
+ *   ]
  * @property {string} date - Completion date (e.g., 'November 2025')
  * @property {string} duration - Time spent on project (e.g., '3 weeks')
  * @property {string} description - Short description for project cards
- * @property {string} longDescription - Extended description for modal view
+ * @property {string} longDescription - Extended description for modal view, in Markdown
+ *   (paragraphs, # headings, lists, **strong**, *emphasis*, `code`, [links](https://...));
+ *   raw HTML is shown as text
  * @property {string[]} technologies - Array of technology/tool names used
- * @property {string[]} features - Array of key features/highlights
+ * @property {string[]} features - Array of key features/highlights (inline Markdown)
  * @property {string} liveUrl - URL to live demo (use '#' if not available)
  * @property {string} githubUrl - URL to GitHub repository (use '#' if not available)
  */
@@ -59,8 +111,8 @@ export const PROJECTS = {
     'personal-portfolio': {
         id: 'personal-portfolio',
         title: 'Personal Portfolio Website',
-        category: 'Web Development',
-        categoryIcon: 'fas fa-globe',
+        category: 'web',
+        status: 'maintained',
         image: 'images/PERSONAL-PORTFOLIO-IMG.JPG',
         date: 'November 2025',
         duration: '3 weeks',
@@ -82,8 +134,8 @@ export const PROJECTS = {
     'student-management': {
         id: 'student-management',
         title: 'Student Management System',
-        category: 'Web Development',
-        categoryIcon: 'fas fa-globe',
+        category: 'web',
+        status: 'completed',
         image: 'images/student-management.jpg',
         date: 'October 2025',
         duration: '4 weeks',
@@ -105,8 +157,8 @@ export const PROJECTS = {
     'ecommerce-platform': {
         id: 'ecommerce-platform',
         title: 'E-commerce Platform',
-        category: 'Web Development',
-        categoryIcon: 'fas fa-globe',
+        category: 'web',
+        status: 'completed',
         image: 'images/ecommerce.jpg',
         date: 'June 2025',
         duration: '5 weeks',
@@ -132,8 +184,8 @@ export const PROJECTS = {
     'campus-network': {
         id: 'campus-network',
         title: 'Campus Network Design',
-        category: 'Networking',
-        categoryIcon: 'fas fa-network-wired',
+        category: 'networking',
+        status: 'completed',
         image: 'images/network-design.jpg',
         date: 'September 2025',
         duration: '6 weeks',
@@ -159,8 +211,8 @@ export const PROJECTS = {
     'file-automation': {
         id: 'file-automation',
         title: 'File Management Automation',
-        category: 'Python',
-        categoryIcon: 'fab fa-python',
+        category: 'python',
+        status: 'completed',
         image: 'images/python-project.jpg',
         date: 'August 2025',
         duration: '2 weeks',
@@ -186,8 +238,8 @@ export const PROJECTS = {
     'library-system': {
         id: 'library-system',
         title: 'Library Management System',
-        category: 'C++',
-        categoryIcon: 'fas fa-code',
+        category: 'cpp',
+        status: 'completed',
         image: 'images/cpp-project.jpg',
         date: 'July 2025',
         duration: '3 weeks',
@@ -207,6 +259,25 @@ export const PROJECTS = {
     }
 };
 
+/**
+ * Projects served by the helpers below
+ * Starts as the bundled PROJECTS and is swapped once projects.json loads
+ * 
+ * @type {Object.<string, Project>}
+ */
+let activeProjects = PROJECTS;
+
+/**
+ * Replaces the projects served by the helper functions
+ * Called by loader.js with validated projects.json data; pass PROJECTS
+ * to restore the bundled set
+ * 
+ * @param {Object.<string, Project>} projects - Projects keyed by id
+ */
+export function setProjects(projects) {
+    activeProjects = projects;
+}
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -224,7 +295,7 @@ export const PROJECTS = {
  * }
  */
 export function getProjectById(projectId) {
-    return PROJECTS[projectId] || null;
+    return Object.hasOwn(activeProjects, projectId) ? activeProjects[projectId] : null;
 }
 
 /**
@@ -235,37 +306,168 @@ export function getProjectById(projectId) {
  * 
  * @example
  * const allProjects = getAllProjects();
- * const webProjects = allProjects.filter(p => p.category === 'Web Development');
+ * const webProjects = allProjects.filter(p => p.category === 'web');
  */
 export function getAllProjects() {
-    return Object.values(PROJECTS);
+    return Object.values(activeProjects);
+}
+
+/**
+ * Returns the ordered screenshots for a project
+ * Projects without a gallery fall back to their single `image`
+ * 
+ * @param {Project} project - Project to read images from
+ * @returns {ProjectImage[]} Array of images (never empty when the project has an image)
+ * 
+ * @example
+ * const [cover] = getProjectImages(getProjectById('campus-network'));
+ */
+export function getProjectImages(project) {
+    if (Array.isArray(project.gallery) && project.gallery.length) {
+        return project.gallery.filter(image => image && image.src);
+    }
+    return project.image ? [{ src: project.image, caption: '' }] : [];
 }
 
 /**
  * Returns all projects filtered by category
  * 
- * @param {string} category - Category name to filter by
+ * @param {string} category - Category slug to filter by
  * @returns {Project[]} Array of projects in the specified category
  * 
  * @example
- * const pythonProjects = getProjectsByCategory('Python');
+ * const pythonProjects = getProjectsByCategory('python');
  */
 export function getProjectsByCategory(category) {
     return getAllProjects().filter(project => project.category === category);
 }
 
 /**
- * Returns a list of all unique project categories
+ * Returns the categories used by at least one project, with project counts
+ * Registered categories keep registry order; unregistered slugs follow
+ * in order of first appearance
  * 
- * @returns {string[]} Array of unique category names
+ * @returns {Array<Category & {count: number}>} Array of categories with counts
  * 
  * @example
  * const categories = getProjectCategories();
- * // ['Web Development', 'Networking', 'Python', 'C++']
+ * // [{ slug: 'web', label: 'Web Development', icon: 'fas fa-globe', count: 3 }, ...]
  */
 export function getProjectCategories() {
-    const categories = new Set(getAllProjects().map(project => project.category));
-    return Array.from(categories);
+    const counts = new Map();
+    getAllProjects().forEach(project => {
+        counts.set(project.category, (counts.get(project.category) || 0) + 1);
+    });
+
+    const registered = Object.keys(CATEGORIES).filter(slug => counts.has(slug));
+    const unregistered = Array.from(counts.keys()).filter(slug => !CATEGORIES[slug]);
+
+    return [...registered, ...unregistered].map(slug => ({
+        ...getCategoryBySlug(slug),
+        count: counts.get(slug)
+    }));
+}
+
+/**
+ * Returns the statuses used by at least one project, with project counts
+ * Projects without a status count as the default status
+ * 
+ * @returns {Array<ProjectStatus & {count: number}>} Statuses in registry order
+ * 
+ * @example
+ * getProjectStatuses();
+ * // [{ slug: 'completed', label: 'Completed coursework', count: 5, ... }, ...]
+ */
+export function getProjectStatuses() {
+    const counts = new Map();
+    getAllProjects().forEach(project => {
+        const { slug } = getStatusBySlug(project.status);
+        counts.set(slug, (counts.get(slug) || 0) + 1);
+    });
+
+    return Object.keys(STATUSES)
+        .filter(slug => counts.has(slug))
+        .map(slug => ({ ...STATUSES[slug], count: counts.get(slug) }));
+}
+
+/**
+ * Returns the union of every project's technologies with usage counts
+ * Names are de-duplicated case-insensitively (first spelling wins) and
+ * sorted by how many projects use them, then alphabetically
+ * 
+ * @returns {{name: string, count: number}[]} Array of technologies with counts
+ * 
+ * @example
+ * const technologies = getProjectTechnologies();
+ * // [{ name: 'MySQL', count: 2 }, { name: 'PHP', count: 2 }, ...]
+ */
+export function getProjectTechnologies() {
+    const technologies = new Map();
+
+    getAllProjects().forEach(project => {
+        project.technologies.forEach(name => {
+            const key = name.toLowerCase();
+            const entry = technologies.get(key) || { name, count: 0 };
+            entry.count += 1;
+            technologies.set(key, entry);
+        });
+    });
+
+    return Array.from(technologies.values())
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Relevance weights used by getRelatedProjects()
+ * Each shared technology counts most; same category and a nearby date
+ * (linearly less within a year) refine the ranking
+ */
+const RELATED_WEIGHTS = {
+    technology: 3,
+    category: 2,
+    date: 1
+};
+
+/**
+ * Returns the projects most related to a given project
+ * Scored by shared technologies, shared category and closeness in date;
+ * projects sharing neither a technology nor the category are left out
+ * 
+ * @param {string} projectId - Project to find relatives for
+ * @param {number} [limit=3] - Maximum number of results
+ * @returns {{project: Project, score: number, sharedTechnologies: string[]}[]} Best matches first
+ * 
+ * @example
+ * getRelatedProjects('student-management')[0].project.id; // 'ecommerce-platform' (shares PHP, MySQL)
+ */
+export function getRelatedProjects(projectId, limit = 3) {
+    const source = getProjectById(projectId);
+    if (!source) return [];
+
+    const sourceTechnologies = new Set(source.technologies.map(tech => tech.toLowerCase()));
+    const sourceDate = parseProjectDate(source.date);
+
+    return getAllProjects()
+        .filter(project => project.id !== source.id)
+        .map(project => {
+            const sharedTechnologies = project.technologies
+                .filter(tech => sourceTechnologies.has(tech.toLowerCase()));
+            const sameCategory = project.category === source.category;
+
+            const date = parseProjectDate(project.date);
+            const monthsApart = sourceDate && date
+                ? Math.abs((sourceDate.getFullYear() - date.getFullYear()) * 12 + sourceDate.getMonth() - date.getMonth())
+                : 12;
+
+            const score = sharedTechnologies.length * RELATED_WEIGHTS.technology
+                + (sameCategory ? RELATED_WEIGHTS.category : 0)
+                + Math.max(0, 1 - monthsApart / 12) * RELATED_WEIGHTS.date;
+
+            return { project, score, sharedTechnologies };
+        })
+        .filter(({ project, sharedTechnologies }) => sharedTechnologies.length || project.category === source.category)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
 }
 
 /**
@@ -274,5 +476,5 @@ export function getProjectCategories() {
  * @returns {number} Total number of projects
  */
 export function getProjectCount() {
-    return Object.keys(PROJECTS).length;
+    return Object.keys(activeProjects).length;
 }
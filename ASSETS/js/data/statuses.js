@@ -0,0 +1,103 @@
+/**
+ * ============================================================================
+ * STATUS DATA - statuses.js
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Registry of project lifecycle statuses. Each project stores a status
+ * slug (project.status); the registry supplies the badge label, icon and
+ * whether the portfolio hides projects with that status by default.
+ *
+ * ADDING A STATUS:
+ * Add an entry to STATUSES and use its slug on a project in projects.js.
+ * Badges and the status filter are generated from this registry.
+ *
+ * USAGE:
+ * import { STATUSES, getStatusBySlug } from '../data/statuses.js';
+ *
+ * ============================================================================
+ */
+
+/**
+ * @typedef {Object} ProjectStatus
+ * @property {string} slug - Stable identifier stored in project.status
+ * @property {string} label - Badge and filter label
+ * @property {string} icon - Font Awesome icon class
+ * @property {boolean} hiddenByDefault - Excluded from the portfolio until the visitor opts in
+ */
+
+/**
+ * Master status registry (registry order is the filter order)
+ *
+ * @type {Object.<string, ProjectStatus>}
+ */
+export const STATUSES = {
+    completed: {
+        slug: 'completed',
+        label: 'Completed coursework',
+        icon: 'fas fa-graduation-cap',
+        hiddenByDefault: false
+    },
+
+    maintained: {
+        slug: 'maintained',
+        label: 'Maintained',
+        icon: 'fas fa-sync-alt',
+        hiddenByDefault: false
+    },
+
+    'in-progress': {
+        slug: 'in-progress',
+        label: 'In progress',
+        icon: 'fas fa-hammer',
+        hiddenByDefault: false
+    },
+
+    archived: {
+        slug: 'archived',
+        label: 'Archived',
+        icon: 'fas fa-archive',
+        hiddenByDefault: true
+    }
+};
+
+/** Status assumed for projects that do not set one */
+export const DEFAULT_STATUS = 'completed';
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Retrieves a status by its slug
+ * Missing or unknown slugs resolve to the default status
+ *
+ * @param {string} [slug] - Status slug
+ * @returns {ProjectStatus} The status entry
+ *
+ * @example
+ * getStatusBySlug('archived').label; // 'Archived'
+ */
+export function getStatusBySlug(slug) {
+    return STATUSES[slug] || STATUSES[DEFAULT_STATUS];
+}
+
+/**
+ * Returns all registered statuses in display order
+ *
+ * @returns {ProjectStatus[]} Array of status entries
+ */
+export function getAllStatuses() {
+    return Object.values(STATUSES);
+}
+
+/**
+ * Returns the slugs hidden until the visitor includes them
+ *
+ * @returns {string[]} Status slugs (e.g. ['archived'])
+ */
+export function getDefaultHiddenStatuses() {
+    return getAllStatuses()
+        .filter(status => status.hiddenByDefault)
+        .map(status => status.slug);
+}
@@ -0,0 +1,256 @@
+/**
+ * ============================================================================
+ * PROJECT DATA VALIDATION - validation.js
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Shape checks for entries in projects.js, shared by the browser (to decide
+ * which modal links are real) and by `node validate-projects.js` (which adds
+ * file-system checks for referenced images).
+ *
+ * USAGE:
+ * import { validateProject, isPlaceholderUrl, isSameOriginPath } from '../data/validation.js';
+ *
+ * ============================================================================
+ */
+
+import { CATEGORIES } from './categories.js';
+import { STATUSES } from './statuses.js';
+import { parseProjectDate, parseProjectDuration } from './dates.js';
+import { resolveLanguage, SUPPORTED_LANGUAGES } from '../utils/highlight.js';
+
+/**
+ * Required fields of the Project typedef mapped to their expected type
+ * @type {Object.<string, 'string'|'string[]'>}
+ */
+export const PROJECT_REQUIRED_FIELDS = {
+    id: 'string',
+    title: 'string',
+    category: 'string',
+    image: 'string',
+    date: 'string',
+    duration: 'string',
+    description: 'string',
+    longDescription: 'string',
+    technologies: 'string[]',
+    features: 'string[]',
+    liveUrl: 'string',
+    githubUrl: 'string'
+};
+
+/**
+ * Checks whether a project link is a placeholder rather than a real URL
+ * '#', empty values and non-http(s) schemes (e.g. javascript:) count as placeholders
+ *
+ * @param {string} url - liveUrl or githubUrl value
+ * @returns {boolean} True if the link should not be shown as an action
+ *
+ * @example
+ * isPlaceholderUrl('#'); // true
+ * isPlaceholderUrl('https://github.com/user/repo'); // false
+ */
+export function isPlaceholderUrl(url) {
+    const value = String(url ?? '').trim();
+    if (!value || value.startsWith('#')) return true;
+
+    try {
+        const { protocol } = new URL(value, 'https://example.invalid/');
+        return protocol !== 'https:' && protocol !== 'http:';
+    } catch {
+        return true;
+    }
+}
+
+/**
+ * Checks whether a path resolves to the page's own origin
+ * Protocol-relative (//host/file) and backslash paths are rejected even when
+ * they would resolve to the same host, since browsers treat them inconsistently
+ *
+ * @param {string} path - Snippet src or other fetched path
+ * @param {string} [base] - Page URL to resolve against (location.href in the browser)
+ * @returns {boolean} True if fetching the path stays on the site
+ *
+ * @example
+ * isSameOriginPath('snippets/library/issue.cpp'); // true
+ * isSameOriginPath('//cdn.example.com/file.js'); // false
+ */
+export function isSameOriginPath(path, base = 'https://example.invalid/') {
+    const value = String(path ?? '').trim();
+    if (!value || value.startsWith('//') || /[\u0000-\u001f\u007f\\]/.test(value)) return false;
+
+    try {
+        return new URL(value, base).origin === new URL(base).origin;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Validates one project entry against the Project typedef
+ * Errors make the entry unusable; warnings flag content that still needs work
+ *
+ * @param {Project} project - Project entry to check
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+export function validateProject(project) {
+    const errors = [];
+    const warnings = [];
+
+    if (!project || typeof project !== 'object') {
+        return { errors: ['entry is not an object'], warnings };
+    }
+
+    Object.entries(PROJECT_REQUIRED_FIELDS).forEach(([field, type]) => {
+        const value = project[field];
+
+        if (type === 'string[]') {
+            if (!Array.isArray(value) || !value.length) {
+                errors.push(`"${field}" must be a non-empty array of strings`);
+            } else if (value.some(item => typeof item !== 'string' || !item.trim())) {
+                errors.push(`"${field}" contains an empty or non-string item`);
+            }
+        } else if (typeof value !== 'string' || !value.trim()) {
+            errors.push(`"${field}" is required and must be a non-empty string`);
+        }
+    });
+
+    if (typeof project.date === 'string' && project.date.trim() && !parseProjectDate(project.date)) {
+        errors.push(`"date" must look like "November 2025" (got "${project.date}")`);
+    }
+
+    if (typeof project.duration === 'string' && project.duration.trim() && parseProjectDuration(project.duration) === null) {
+        errors.push(`"duration" must look like "3 weeks" (got "${project.duration}")`);
+    }
+
+    if (typeof project.category === 'string'
+        && !Object.values(CATEGORIES).some(category => category.slug === project.category)) {
+        warnings.push(`"category" "${project.category}" is not registered in categories.js`);
+    }
+
+    if (project.status !== undefined && !STATUSES[project.status]) {
+        errors.push(`"status" must be one of ${Object.keys(STATUSES).join(', ')} (got "${project.status}")`);
+    }
+
+    if (project.gallery !== undefined) {
+        if (!Array.isArray(project.gallery)) {
+            errors.push('"gallery" must be an array of { src, caption }');
+        } else {
+            project.gallery.forEach((image, index) => {
+                if (!image || typeof image.src !== 'string' || !image.src.trim()) {
+                    errors.push(`"gallery[${index}].src" is required`);
+                } else if (project.gallery.length > 1 && !image.thumb) {
+                    warnings.push(`"gallery[${index}].thumb" is missing (the strip will download the full-size image)`);
+                }
+            });
+        }
+    }
+
+    if (project.demo !== undefined) {
+        const demo = validateProjectDemo(project.demo);
+        errors.push(...demo.errors);
+        warnings.push(...demo.warnings);
+    }
+
+    if (project.snippets !== undefined) {
+        if (!Array.isArray(project.snippets)) {
+            errors.push('"snippets" must be an array of { language, title, code | src }');
+        } else {
+            project.snippets.forEach((snippet, index) => {
+                const field = `snippets[${index}]`;
+                if (!snippet || typeof snippet !== 'object') {
+                    errors.push(`"${field}" must be an object`);
+                    return;
+                }
+                if (typeof snippet.title !== 'string' || !snippet.title.trim()) {
+                    errors.push(`"${field}.title" is required`);
+                }
+                if (typeof snippet.language !== 'string' || !snippet.language.trim()) {
+                    errors.push(`"${field}.language" is required`);
+                } else if (!resolveLanguage(snippet.language)) {
+                    warnings.push(`"${field}.language" "${snippet.language}" is not highlighted `
+                        + `(supported: ${SUPPORTED_LANGUAGES.map(language => language.id).join(', ')})`);
+                }
+
+                const hasCode = typeof snippet.code === 'string' && snippet.code.trim();
+                const hasSrc = typeof snippet.src === 'string' && snippet.src.trim();
+                if (!hasCode === !hasSrc) {
+                    errors.push(`"${field}" needs either "code" or "src" (not both)`);
+                } else if (hasSrc && !isSameOriginPath(snippet.src)) {
+                    errors.push(`"${field}.src" must be a site-relative path (snippets are not loaded from other hosts)`);
+                }
+            });
+        }
+    }
+
+    ['liveUrl', 'githubUrl'].forEach(field => {
+        if (typeof project[field] === 'string' && isPlaceholderUrl(project[field])) {
+            warnings.push(`"${field}" is a placeholder ("${project[field]}") - the modal hides this button`);
+        }
+    });
+
+    return { errors, warnings };
+}
+
+/**
+ * Checks a project's optional `demo` entry (see the ProjectDemo typedef)
+ * ProjectModal only embeds demos without errors
+ *
+ * @param {ProjectDemo} demo
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+export function validateProjectDemo(demo) {
+    const errors = [];
+    const warnings = [];
+
+    if (!demo || typeof demo !== 'object') {
+        errors.push('"demo" must be an object with a "type" of iframe or video');
+        return { errors, warnings };
+    }
+
+    if (demo.type === 'iframe') {
+        if (typeof demo.src !== 'string' || isPlaceholderUrl(demo.src) || !/^https?:\/\//i.test(demo.src.trim())) {
+            errors.push('"demo.src" must be an absolute http(s) URL for iframe demos');
+        } else if (/^http:/i.test(demo.src.trim())) {
+            warnings.push('"demo.src" uses http - browsers block it inside an https page');
+        }
+    } else if (demo.type === 'video') {
+        if (!Array.isArray(demo.sources) || !demo.sources.length) {
+            errors.push('"demo.sources" must list at least one .mp4 or .webm file');
+        } else if (demo.sources.some(source => typeof source !== 'string' || !/\.(mp4|webm)$/i.test(source.trim()))) {
+            errors.push('"demo.sources" may only contain .mp4 or .webm files');
+        }
+        if (typeof demo.poster !== 'string' || !demo.poster.trim()) {
+            errors.push('"demo.poster" is required for video demos');
+        }
+    } else {
+        errors.push(`"demo.type" must be "iframe" or "video" (got "${demo.type}")`);
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Lists the local files a project references (image, gallery, thumbnails,
+ * demo video and snippet sources)
+ * Absolute http(s) URLs are skipped
+ *
+ * @param {Project} project
+ * @returns {string[]} Site-relative paths
+ */
+export function getProjectAssetPaths(project) {
+    const paths = [project.image];
+
+    (Array.isArray(project.gallery) ? project.gallery : []).forEach(image => {
+        paths.push(image?.src, image?.thumb);
+    });
+
+    if (project.demo?.type === 'video') {
+        paths.push(project.demo.poster, ...(Array.isArray(project.demo.sources) ? project.demo.sources : []));
+    }
+
+    (Array.isArray(project.snippets) ? project.snippets : []).forEach(snippet => {
+        paths.push(snippet?.src);
+    });
+
+    return paths.filter(path => typeof path === 'string' && path.trim() && !/^[a-z]+:\/\//i.test(path));
+}
@@ -15,6 +15,7 @@
  *   - HamburgerMenu: Mobile navigation functionality
  *   - ThemeManager: Light/Dark theme handling
  *   - FormManager: Contact form validation
+ *   - CertificationGrid: Renders certification cards (static data, no wait)
  * 
  * Phase 2 (Animations): Visual effects after initial paint
  *   - SectionAnimator: Scroll-triggered animations
@@ -22,9 +23,16 @@
  *   - StatsAnimation: Counter animations
  * 
  * Phase 3 (Interactive): User interaction enhancements
+ *   - CertificationNav: Certification carousel
+ * 
+ * Portfolio: projects.json is requested alongside Phase 1 (loadProjects
+ * falls back to the bundled data). Only the portfolio waits for it, so a
+ * slow or failing fetch never holds back the phases above:
+ *   - ProjectGrid: Renders project cards from the loaded projects
+ *   - PortfolioTimeline: Chronological view of the projects
  *   - PortfolioFilter: Project category filtering
  *   - ProjectModal: Project detail modals
- *   - CertificationNav: Certification carousel
+ *   - ProjectCompare: Side-by-side project comparison
  * 
  * MODULE DEPENDENCIES:
  * All modules are imported from ./modules/index.js (barrel export)
@@ -47,12 +55,17 @@ import {
     StatsAnimation,
     TextAnimation,
     PortfolioFilter,
+    PortfolioTimeline,
+    CertificationGrid,
     CertificationNav,
     HamburgerMenu,
     SectionAnimator,
     ProjectModal,
+    ProjectCompare,
+    ProjectGrid,
     ThemeManager
 } from './modules/index.js';
+import { loadProjects } from './data/loader.js';
 
 // NOTE: ImageLoader module was previously imported but is temporarily disabled
 // due to observed performance bottlenecks during initial paint. If you still
@@ -95,6 +108,9 @@ class PortfolioApp {
         if (this.isInitialized) return;
         this.isInitialized = true;
 
+        // Project data request starts right away (never rejects - falls back to bundled data)
+        const projectsReady = loadProjects();
+
         // Phase 1: Critical UI components (immediate - needed for initial render)
         this.initCriticalModules();
 
@@ -103,6 +119,12 @@ class PortfolioApp {
             this.initAnimationModules();
             this.initInteractiveModules();
             this.updateCopyrightYear();
+
+            // Portfolio: waits for the project data so the filter, modal and
+            // compare dialog see the real cards
+            this.initPortfolioModules(projectsReady).catch(error => {
+                console.error('Portfolio initialization failed:', error);
+            });
         });
 
         // Setup cleanup handler for page unload
@@ -132,6 +154,53 @@ class PortfolioApp {
         // Contact form validation and submission
         this.modules.formManager = new FormManager();
         this.modules.formManager.init();
+
+        // Certification cards (paged by CertificationNav in phase 3)
+        this.modules.certificationGrid = new CertificationGrid();
+        this.modules.certificationGrid.init();
+    }
+
+    /**
+     * PORTFOLIO: Renders the project cards once the project data is ready,
+     * then starts the modules that work on them
+     * 
+     * @private
+     * @param {Promise} projectsReady - Result of loadProjects()
+     * @returns {Promise<void>}
+     */
+    async initPortfolioModules(projectsReady) {
+        await projectsReady;
+
+        this.modules.projectGrid = new ProjectGrid();
+        this.modules.projectGrid.init();
+
+        // The animator started before the cards existed
+        this.modules.sectionAnimator?.observeNewElements();
+
+        // Timeline view (re-rendered with every filter result)
+        this.modules.portfolioTimeline = new PortfolioTimeline();
+        this.modules.portfolioTimeline.init();
+
+        // Portfolio project filtering
+        this.modules.portfolioFilter = new PortfolioFilter({
+            onChange: (projectIds) => this.modules.portfolioTimeline.render(projectIds)
+        });
+        this.modules.portfolioFilter.init();
+
+        // Project detail modal (previous/next follows the visible view and filter)
+        this.modules.projectModal = new ProjectModal({
+            getProjectOrder: () => (this.modules.portfolioTimeline.isActive()
+                ? this.modules.portfolioTimeline.getProjectOrder()
+                : this.modules.portfolioFilter.getMatchingProjectIds())
+        });
+        this.modules.projectModal.init();
+
+        // Compare checkboxes on the cards and the comparison dialog
+        this.modules.projectCompare = new ProjectCompare();
+        this.modules.projectCompare.init();
+
+        // Image loading state detection for project cards
+        this.initImageLoadingStates();
     }
 
     /**
@@ -163,24 +232,16 @@ class PortfolioApp {
      * @returns {void}
      */
     initInteractiveModules() {
-        // Portfolio project filtering
-        this.modules.portfolioFilter = new PortfolioFilter();
-        this.modules.portfolioFilter.init();
-
-        // Project detail modal
-        this.modules.projectModal = new ProjectModal();
-        this.modules.projectModal.init();
-
-        // Certification carousel navigation
-        this.modules.certificationNav = new CertificationNav();
+        // Certification carousel navigation (autoplays on desktop)
+        this.modules.certificationNav = new CertificationNav({
+            grid: this.modules.certificationGrid,
+            autoplay: true
+        });
         this.modules.certificationNav.init();
 
         // Soft skills toggle functionality (inline, no separate module)
         this.initSoftSkillsToggle();
         
-        // Image loading state detection for project cards
-        this.initImageLoadingStates();
-        
         // Profile picture overlay functionality
         this.initProfilePictureOverlay();
     }
@@ -241,7 +302,7 @@ class PortfolioApp {
         const closeBtn = document.createElement('button');
         closeBtn.className = 'profile-overlay__close';
         closeBtn.setAttribute('aria-label', 'Close profile picture preview');
-        closeBtn.innerHTML = '&times;';
+        closeBtn.textContent = '\u00D7';
 
         const overlayImg = document.createElement('img');
         overlayImg.className = 'profile-overlay__img';
@@ -0,0 +1,252 @@
+/**
+ * ============================================================================
+ * CERTIFICATION GRID MODULE - CertificationGrid.js
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Renders the certification cards from data/certifications.js and groups
+ * them into .cert-row pages sized for the current breakpoint (6 per page on
+ * desktop, 4 on laptops/tablets, 1 on phones). CertificationNav moves between
+ * the pages and calls paginate() again when the breakpoint changes.
+ *
+ * FEATURES:
+ * - Builds every .cert-card from getAllCertifications()
+ * - Breakpoint-aware page sizes from CERT_CAROUSEL.PAGE_SIZES
+ * - Re-paging moves the existing cards (images and animation state are kept)
+ * - "Verified" badge and "Verify credential" link only for certificates with
+ *   a credentialUrl; credential ID with a copy button (handled by CertificationNav)
+ *
+ * DEPENDENCIES:
+ * - ../data/certifications.js - Certification data source
+ * - ../config/constants.js - Page sizes per breakpoint
+ *
+ * USAGE:
+ * const grid = new CertificationGrid();
+ * grid.init();
+ * new CertificationNav({ grid }).init();
+ *
+ * ============================================================================
+ */
+
+import { getAllCertifications, getCredentialUrl } from '../data/certifications.js';
+import { CERT_CAROUSEL } from '../config/constants.js';
+
+export class CertificationGrid {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {string} [options.selector='.cert-rows'] - CSS selector for the rows container
+     * @param {{minWidth: number, size: number}[]} [options.pageSizes=CERT_CAROUSEL.PAGE_SIZES] -
+     *   Certificates per page, widest breakpoint first
+     */
+    constructor(options = {}) {
+        /** @type {HTMLElement|null} Container the .cert-row pages are rendered into */
+        this.container = document.querySelector(options.selector || '.cert-rows');
+
+        /** @type {{size: number, query: MediaQueryList|null}[]} Page size per breakpoint */
+        this.pageQueries = (options.pageSizes || CERT_CAROUSEL.PAGE_SIZES).map(({ minWidth, size }) => ({
+            size,
+            query: window.matchMedia?.(`(min-width: ${minWidth}px)`) || null
+        }));
+
+        /** @type {HTMLElement[]} Rendered card elements, in display order */
+        this.cards = [];
+
+        /** @type {HTMLElement[]} Current .cert-row pages */
+        this.rows = [];
+
+        /** @type {number} Certificates per page in the current layout */
+        this.pageSize = this.getPageSize();
+    }
+
+    /**
+     * Initializes the grid by rendering all certifications
+     */
+    init() {
+        if (!this.container) return;
+        this.render();
+    }
+
+    /**
+     * Renders the given certifications, replacing existing rows
+     *
+     * @param {Certification[]} [certifications=getAllCertifications()] - Certifications to render
+     * @returns {HTMLElement[]} The rendered card elements
+     */
+    render(certifications = getAllCertifications()) {
+        if (!this.container) return [];
+
+        this.cards = certifications.map(certification => this.createCard(certification));
+        this.paginate(this.getPageSize());
+        return this.cards;
+    }
+
+    /**
+     * Picks the page size for the current viewport from the configured breakpoints
+     * @returns {number}
+     */
+    getPageSize() {
+        const match = this.pageQueries.find(({ query }) => query?.matches);
+        return match ? match.size : CERT_CAROUSEL.PAGE_SIZES[0].size;
+    }
+
+    /**
+     * Groups the cards into .cert-row pages of `pageSize` cards
+     * The first page is marked active; CertificationNav takes over from there
+     *
+     * @param {number} pageSize - Certificates per page
+     * @returns {HTMLElement[]} The new rows
+     */
+    paginate(pageSize) {
+        if (!this.container) return [];
+
+        this.pageSize = Math.max(1, pageSize);
+        this.rows = [];
+
+        for (let start = 0; start < this.cards.length; start += this.pageSize) {
+            const row = document.createElement('div');
+            row.className = this.rows.length === 0 ? 'cert-row active' : 'cert-row next';
+            row.id = `certRow${this.rows.length + 1}`;
+            row.append(...this.cards.slice(start, start + this.pageSize));
+            this.rows.push(row);
+        }
+
+        this.container.replaceChildren(...this.rows);
+        return this.rows;
+    }
+
+    /**
+     * Builds a single certification card element
+     *
+     * @param {Certification} certification - Certification data
+     * @returns {HTMLElement} The card element
+     */
+    createCard(certification) {
+        const card = document.createElement('div');
+        card.className = 'cert-card';
+        card.setAttribute('data-cert-id', certification.id);
+
+        if (getCredentialUrl(certification)) {
+            const badge = document.createElement('span');
+            badge.className = 'cert-verified-badge';
+            const badgeIcon = document.createElement('i');
+            badgeIcon.className = 'fas fa-check-circle';
+            badgeIcon.setAttribute('aria-hidden', 'true');
+            badge.append(badgeIcon, ' Verified');
+            card.appendChild(badge);
+        }
+
+        // Certificate scan
+        const imgContainer = document.createElement('div');
+        imgContainer.className = 'cert-image-container';
+        const img = document.createElement('img');
+        img.src = certification.image;
+        img.alt = `${certification.title} certificate`;
+        img.className = 'cert-image';
+        img.loading = 'lazy';
+        imgContainer.appendChild(img);
+
+        // Content
+        const content = document.createElement('div');
+        content.className = 'cert-content';
+
+        const title = document.createElement('h3');
+        title.className = 'cert-title';
+        title.textContent = certification.title;
+
+        const issuer = document.createElement('p');
+        issuer.className = 'cert-issuer';
+        issuer.textContent = certification.issuer;
+
+        const date = document.createElement('p');
+        date.className = 'cert-date';
+        date.textContent = `Date Earned: ${certification.date}`;
+
+        content.append(title, issuer, date);
+
+        if (certification.skills?.length) {
+            const skills = document.createElement('ul');
+            skills.className = 'cert-skills';
+            skills.setAttribute('aria-label', 'Skills');
+            certification.skills.forEach(skill => {
+                const item = document.createElement('li');
+                item.className = 'cert-skill';
+                item.textContent = skill;
+                skills.appendChild(item);
+            });
+            content.appendChild(skills);
+        }
+
+        const credential = this.createCredentialDetails(certification);
+        if (credential) content.appendChild(credential);
+
+        card.append(imgContainer, content);
+        return card;
+    }
+
+    /**
+     * Builds the credential ID / "Verify credential" block for a certification
+     * Also used by the certificate preview overlay
+     *
+     * @param {Certification} certification - Certification data
+     * @returns {HTMLElement|null} The .cert-credential element, or null if there is nothing to show
+     */
+    createCredentialDetails(certification) {
+        const url = getCredentialUrl(certification);
+        const credentialId = String(certification.credentialId ?? '').trim();
+        if (!url && !credentialId) return null;
+
+        const details = document.createElement('div');
+        details.className = 'cert-credential';
+
+        if (credentialId) {
+            const idRow = document.createElement('p');
+            idRow.className = 'cert-credential__id';
+
+            const value = document.createElement('code');
+            value.textContent = credentialId;
+
+            const copyBtn = document.createElement('button');
+            copyBtn.type = 'button';
+            copyBtn.className = 'cert-credential__copy';
+            copyBtn.dataset.credentialId = credentialId;
+            copyBtn.setAttribute('aria-label', `Copy credential ID for ${certification.title}`);
+            copyBtn.title = 'Copy credential ID';
+            const copyIcon = document.createElement('i');
+            copyIcon.className = 'fas fa-copy';
+            copyIcon.setAttribute('aria-hidden', 'true');
+            copyBtn.appendChild(copyIcon);
+
+            const status = document.createElement('span');
+            status.className = 'cert-credential__status';
+            status.setAttribute('role', 'status');
+            status.setAttribute('aria-live', 'polite');
+
+            idRow.append('Credential ID: ', value, copyBtn, status);
+            details.appendChild(idRow);
+        }
+
+        if (url) {
+            const link = document.createElement('a');
+            link.className = 'cert-credential__verify';
+            link.href = url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.setAttribute('aria-label', `Verify ${certification.title} credential (opens in a new tab)`);
+            const linkIcon = document.createElement('i');
+            linkIcon.className = 'fas fa-external-link-alt';
+            linkIcon.setAttribute('aria-hidden', 'true');
+            link.append('Verify credential ', linkIcon);
+            details.appendChild(link);
+        }
+
+        return details;
+    }
+
+    /**
+     * Cleanup method
+     */
+    cleanup() {
+        this.cards = [];
+        this.rows = [];
+    }
+}
@@ -1,21 +1,45 @@
 /**
  * Certification Navigation Module
- * Handles navigation between certification rows with swipe support
+ * Handles navigation between certification rows (pages) with swipe support
+ * Pages come from CertificationGrid and are rebuilt when the breakpoint
+ * changes (6 certificates per page on desktop, 4 on laptop/tablet, 1 on phones)
+ * Also copies credential IDs from the cards and the preview overlay
+ *
+ * Keyboard: follows the WAI-ARIA tabs pattern - the dots are tabs (roving
+ * tabindex, Left/Right/Home/End) controlling the rows as tabpanels; hidden
+ * rows are inert. Left/Right also page while focus is inside a row.
+ *
+ * Autoplay (opt-in): cycles the pages on desktop with a play/pause button;
+ * holds while hovered, focused, the preview is open or the tab is hidden,
+ * and never runs when the user prefers reduced motion.
  */
 
+import { CERT_CAROUSEL, KEYS, A11Y } from '../config/constants.js';
+import { copyToClipboard } from '../utils/helpers.js';
+import { CertificationOverlay } from './CertificationOverlay.js';
+
+/** How long the "Copied" confirmation stays visible (ms) */
+const COPY_FEEDBACK_DURATION = 2000;
+
 export class CertificationNav {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {CertificationGrid} [options.grid] - Renders and re-pages the cards;
+     *   without it the rows already in .cert-rows are used as-is
+     * @param {boolean} [options.autoplay=false] - Cycle through the pages automatically
+     * @param {number} [options.autoplayInterval=CERT_CAROUSEL.AUTOPLAY_INTERVAL] - Time per page (ms)
+     * @param {number} [options.autoplayMinWidth=CERT_CAROUSEL.AUTOPLAY_MIN_WIDTH] - Narrowest viewport that autoplays
+     */
+    constructor(options = {}) {
         this.prevBtn = document.getElementById('prevCert');
         this.nextBtn = document.getElementById('nextCert');
         this.rowsContainer = document.querySelector('.cert-rows');
         this.certContainer = document.querySelector('.certifications-container');
+        this.grid = options.grid || null;
         this.allRows = this.rowsContainer ? Array.from(this.rowsContainer.children) : [];
         this.currentRow = 1;
         this.totalRows = this.allRows.length > 0 ? Math.max(1, this.allRows.length) : 0;
         this.isAnimating = false;
-        this.cards = [];
-        this.currentCardIndex = 0;
-        this.mode = 'row';
         this.dotsContainer = null;
 
         // Swipe support
@@ -25,18 +49,46 @@ export class CertificationNav {
         this.touchStartY = 0;
         this.announcementEl = null;
         this.didCreateAnnouncer = false;
+        this.copyFeedbackTimer = null;
+        this.overlay = null;
+
+        // Autoplay
+        this.autoplay = Boolean(options.autoplay);
+        this.autoplayInterval = options.autoplayInterval || CERT_CAROUSEL.AUTOPLAY_INTERVAL;
+        this.autoplayQuery = window.matchMedia?.(
+            `(min-width: ${options.autoplayMinWidth ?? CERT_CAROUSEL.AUTOPLAY_MIN_WIDTH}px)`
+        ) || null;
+        this.autoplayTimer = null;
+        this.autoplayBtn = null;
+        /** @type {boolean} Set when the user presses pause */
+        this.isAutoplayPaused = false;
+        /** @type {Set<string>} Temporary holds ('hover', 'focus') */
+        this.autoplayHolds = new Set();
+
+        // Check for reduced motion preference (accessibility)
+        this.prefersReducedMotion = window.matchMedia?.(A11Y.REDUCED_MOTION_QUERY).matches || false;
+        this.reducedMotionQuery = window.matchMedia?.(A11Y.REDUCED_MOTION_QUERY) || null;
 
         this.boundNavigatePrev = () => this.navigate('prev');
         this.boundNavigateNext = () => this.navigate('next');
-        this.boundHandleResize = () => this.handleResize();
+        this.boundHandleBreakpoint = () => this.handleBreakpointChange();
         this.boundHandleTouchStart = (e) => this.handleTouchStart(e);
         this.boundHandleTouchMove = (e) => this.handleTouchMove(e);
         this.boundHandleTouchEnd = (e) => this.handleTouchEnd(e);
+        this.boundHandleCredentialClick = (e) => this.handleCredentialClick(e);
+        this.boundHandleDotKeydown = (e) => this.handleDotKeydown(e);
+        this.boundHandleRowsKeydown = (e) => this.handleRowsKeydown(e);
+        this.boundUpdateAutoplay = () => this.updateAutoplay();
+        this.boundToggleAutoplay = () => this.toggleAutoplay();
+        this.boundHandleHoverStart = () => this.holdAutoplay('hover', true);
+        this.boundHandleHoverEnd = () => this.holdAutoplay('hover', false);
+        this.boundHandleFocusChange = (e) => this.handleFocusChange(e);
+        this.boundHandleReducedMotionChange = (e) => this.handleReducedMotionChange(e);
     }
 
     init() {
         if (!this.prevBtn || !this.nextBtn) return;
-        this.setupMode();
+        this.setupRows();
         this.announcementEl = document.getElementById('certification-announcer');
         if (!this.announcementEl) {
             this.announcementEl = document.createElement('div');
@@ -57,18 +109,22 @@ export class CertificationNav {
         }
         this.prevBtn.addEventListener('click', this.boundNavigatePrev);
         this.nextBtn.addEventListener('click', this.boundNavigateNext);
-        window.addEventListener('resize', this.boundHandleResize);
+        this.grid?.pageQueries.forEach(({ query }) => query?.addEventListener?.('change', this.boundHandleBreakpoint));
         
         // Add swipe support for mobile/tablet
         if (this.rowsContainer) {
             this.rowsContainer.addEventListener('touchstart', this.boundHandleTouchStart, { passive: true });
             this.rowsContainer.addEventListener('touchmove', this.boundHandleTouchMove, { passive: true });
             this.rowsContainer.addEventListener('touchend', this.boundHandleTouchEnd, { passive: true });
+            this.rowsContainer.addEventListener('click', this.boundHandleCredentialClick);
+            this.rowsContainer.addEventListener('keydown', this.boundHandleRowsKeydown);
         }
 
         // Allow clicking a certificate to open the image inline overlay
         this.enableImageOverlay();
 
+        if (this.autoplay) this.setupAutoplay();
+
         this.announcePosition();
     }
 
@@ -118,9 +174,11 @@ export class CertificationNav {
         // Remove existing dots if any
         const existingDots = document.querySelector('.cert-dots');
         if (existingDots) existingDots.remove();
+        this.dotsContainer = null;
 
-        const totalItems = this.mode === 'single' ? this.cards.length : this.totalRows;
+        const totalItems = this.totalRows;
         if (totalItems <= 1 || !this.certContainer) return;
+        const itemLabel = this.getPageSize() === 1 ? 'certificate' : 'page';
 
         this.dotsContainer = document.createElement('div');
         this.dotsContainer.className = 'cert-dots';
@@ -128,13 +186,19 @@ export class CertificationNav {
         this.dotsContainer.setAttribute('aria-label', 'Certificate navigation');
 
         for (let i = 0; i < totalItems; i++) {
+            const isActive = i === this.currentRow - 1;
             const dot = document.createElement('button');
+            dot.type = 'button';
             dot.className = 'cert-dot';
+            dot.id = `certDot${i + 1}`;
             dot.setAttribute('role', 'tab');
-            dot.setAttribute('aria-label', `Go to ${this.mode === 'single' ? 'certificate' : 'page'} ${i + 1}`);
-            dot.setAttribute('aria-selected', i === 0 ? 'true' : 'false');
+            dot.setAttribute('aria-label', `Go to ${itemLabel} ${i + 1}`);
+            dot.setAttribute('aria-selected', isActive ? 'true' : 'false');
+            if (this.allRows[i]?.id) dot.setAttribute('aria-controls', this.allRows[i].id);
+            // Roving tabindex: only the selected tab is in the Tab order
+            dot.tabIndex = isActive ? 0 : -1;
             
-            if (i === (this.mode === 'single' ? this.currentCardIndex : this.currentRow - 1)) {
+            if (isActive) {
                 dot.classList.add('active');
             }
 
@@ -142,146 +206,165 @@ export class CertificationNav {
             this.dotsContainer.appendChild(dot);
         }
 
+        this.dotsContainer.addEventListener('keydown', this.boundHandleDotKeydown);
         this.certContainer.appendChild(this.dotsContainer);
     }
 
-    goToIndex(index) {
-        if (this.mode === 'single') {
-            if (index === this.currentCardIndex || index < 0 || index >= this.cards.length) return;
-            
-            this.cards[this.currentCardIndex].classList.remove('active-card');
-            this.cards[index].classList.add('active-card');
-            this.currentCardIndex = index;
-            this.syncRowWithActiveCard();
-        } else {
-            if (index === this.currentRow - 1 || index < 0 || index >= this.totalRows) return;
-
-            const currentIdx = this.currentRow - 1;
-            const currentRowEl = this.allRows[currentIdx];
-            const nextRowEl = this.allRows[index];
-
-            if (!currentRowEl || !nextRowEl) return;
-
-            this.isAnimating = true;
+    /**
+     * Left/Right/Home/End on the dots select (and focus) another page
+     * @param {KeyboardEvent} e
+     */
+    handleDotKeydown(e) {
+        const lastIndex = this.totalRows - 1;
+        const currentIdx = this.currentRow - 1;
+        let targetIdx;
+
+        switch (e.key) {
+            case KEYS.ARROW_LEFT:
+                targetIdx = currentIdx === 0 ? lastIndex : currentIdx - 1;
+                break;
+            case KEYS.ARROW_RIGHT:
+                targetIdx = currentIdx === lastIndex ? 0 : currentIdx + 1;
+                break;
+            case KEYS.HOME:
+                targetIdx = 0;
+                break;
+            case KEYS.END:
+                targetIdx = lastIndex;
+                break;
+            default:
+                return;
+        }
 
-            currentRowEl.classList.remove('active');
-            currentRowEl.classList.add(index > currentIdx ? 'prev' : 'next');
+        e.preventDefault();
+        this.goToIndex(targetIdx);
+        // Stays on the current dot if the move was ignored mid-animation
+        this.getDot(this.currentRow - 1)?.focus();
+    }
 
-            nextRowEl.classList.remove('prev', 'next');
-            nextRowEl.classList.add('active');
+    /**
+     * Left/Right while focus is inside a row page through the certificates
+     * @param {KeyboardEvent} e
+     */
+    handleRowsKeydown(e) {
+        if (e.altKey || e.ctrlKey || e.metaKey) return;
+        if (e.key !== KEYS.ARROW_LEFT && e.key !== KEYS.ARROW_RIGHT) return;
 
-            this.currentRow = index + 1;
+        e.preventDefault();
+        this.navigate(e.key === KEYS.ARROW_LEFT ? 'prev' : 'next');
+    }
 
-            setTimeout(() => {
-                this.isAnimating = false;
-            }, 400);
-        }
-        
-        this.updateButtons();
-        this.updateDots();
+    /**
+     * @param {number} index - Zero-based page index
+     * @returns {HTMLElement|null} The dot for that page
+     */
+    getDot(index) {
+        return this.dotsContainer?.children[index] || null;
     }
 
-    updateDots() {
-        if (!this.dotsContainer) return;
-        
-        const dots = this.dotsContainer.querySelectorAll('.cert-dot');
-        const activeIndex = this.mode === 'single' ? this.currentCardIndex : this.currentRow - 1;
-        
-        dots.forEach((dot, i) => {
-            dot.classList.toggle('active', i === activeIndex);
-            dot.setAttribute('aria-selected', i === activeIndex ? 'true' : 'false');
+    /**
+     * Tabpanel semantics for the rows; only the current row is reachable
+     * (the others are inert so Tab and screen readers skip them)
+     */
+    updateRowStates() {
+        const activeIndex = this.currentRow - 1;
+
+        this.allRows.forEach((row, i) => {
+            const dot = this.getDot(i);
+            if (dot) {
+                row.setAttribute('role', 'tabpanel');
+                row.setAttribute('aria-labelledby', dot.id);
+                row.tabIndex = i === activeIndex ? 0 : -1;
+            } else {
+                row.removeAttribute('role');
+                row.removeAttribute('aria-labelledby');
+                row.removeAttribute('tabindex');
+            }
+            row.toggleAttribute('inert', i !== activeIndex);
         });
-
-        this.announcePosition();
     }
 
-    navigate(direction) {
-        if (this.mode === 'single') {
-            this.navigateCard(direction);
-            return;
-        }
-
-        if (this.isAnimating || this.totalRows <= 1) return;
+    goToIndex(index) {
+        if (this.isAnimating || index === this.currentRow - 1 || index < 0 || index >= this.totalRows) return;
+        this.showRow(index);
+    }
 
+    /**
+     * Slides from the current row to the row at `index`
+     * @param {number} index - Zero-based row index
+     */
+    showRow(index) {
         const currentIdx = this.currentRow - 1;
-        let nextIdx;
-
-        if (direction === 'next') {
-            if (this.currentRow >= this.totalRows) return;
-            nextIdx = currentIdx + 1;
-        } else {
-            if (this.currentRow <= 1) return;
-            nextIdx = currentIdx - 1;
-        }
-
         const currentRowEl = this.allRows[currentIdx];
-        const nextRowEl = this.allRows[nextIdx];
+        const nextRowEl = this.allRows[index];
 
         if (!currentRowEl || !nextRowEl) return;
 
+        // Focus would be lost when the row it is in becomes inert
+        const hadRowFocus = currentRowEl.contains(document.activeElement);
+
         this.isAnimating = true;
 
         currentRowEl.classList.remove('active');
-        currentRowEl.classList.add(direction === 'next' ? 'prev' : 'next');
+        currentRowEl.classList.add(index > currentIdx ? 'prev' : 'next');
 
         nextRowEl.classList.remove('prev', 'next');
         nextRowEl.classList.add('active');
 
-        this.currentRow = nextIdx + 1;
+        this.currentRow = index + 1;
+        this.updateRowStates();
         this.updateButtons();
         this.updateDots();
 
+        if (hadRowFocus) {
+            nextRowEl.focus({ preventScroll: true });
+        }
+
         setTimeout(() => {
             this.isAnimating = false;
-        }, 400);
+        }, CERT_CAROUSEL.TRANSITION_DURATION);
     }
 
-    navigateCard(direction) {
-        if (this.cards.length <= 1) return;
-
-        let nextIdx = this.currentCardIndex + (direction === 'next' ? 1 : -1);
-        if (nextIdx < 0 || nextIdx >= this.cards.length) return;
-
-        this.cards[this.currentCardIndex].classList.remove('active-card');
-        this.cards[nextIdx].classList.add('active-card');
+    updateDots() {
+        if (!this.dotsContainer) return;
+        
+        const dots = this.dotsContainer.querySelectorAll('.cert-dot');
+        const activeIndex = this.currentRow - 1;
+        
+        dots.forEach((dot, i) => {
+            dot.classList.toggle('active', i === activeIndex);
+            dot.setAttribute('aria-selected', i === activeIndex ? 'true' : 'false');
+            dot.tabIndex = i === activeIndex ? 0 : -1;
+        });
 
-        this.currentCardIndex = nextIdx;
-        this.syncRowWithActiveCard();
-        this.updateButtons();
-        this.updateDots();
+        this.announcePosition();
     }
 
-    setupMode() {
-        this.allRows = this.rowsContainer ? Array.from(this.rowsContainer.children) : [];
-        this.totalRows = this.allRows.length > 0 ? Math.max(1, this.allRows.length) : 0;
+    navigate(direction) {
+        if (this.isAnimating || this.totalRows <= 1) return;
 
-        // Mobile-only single-card carousel (tablets use row mode)
-        const desiredMode = window.innerWidth <= 767 ? 'single' : 'row';
-        this.mode = desiredMode;
+        const nextIdx = this.currentRow - 1 + (direction === 'next' ? 1 : -1);
+        if (nextIdx < 0 || nextIdx >= this.totalRows) return;
 
-        if (this.mode === 'single') {
-            this.setupSingleMode();
-        } else {
-            this.setupRowMode();
-        }
+        this.showRow(nextIdx);
+    }
 
-        this.createDotIndicators();
-        this.updateButtons();
-        this.announcePosition();
+    /**
+     * Certificates per page in the current layout
+     * @returns {number}
+     */
+    getPageSize() {
+        return this.grid ? this.grid.pageSize : (this.allRows[0]?.children.length || 1);
     }
 
-    setupRowMode() {
+    /**
+     * Reads the rows from the DOM and shows the current one
+     */
+    setupRows() {
         this.isAnimating = false;
-        this.cards.forEach(card => card.classList.remove('active-card'));
-        this.cards = [];
-
-        if (!this.rowsContainer || this.allRows.length === 0) {
-            return;
-        }
-
-        if (this.currentRow > this.totalRows) {
-            this.currentRow = this.totalRows;
-        }
+        this.allRows = this.rowsContainer ? Array.from(this.rowsContainer.children) : [];
+        this.totalRows = this.allRows.length > 0 ? Math.max(1, this.allRows.length) : 0;
+        this.currentRow = Math.max(1, Math.min(this.currentRow, this.totalRows));
 
         this.allRows.forEach((row, index) => {
             row.classList.remove('active', 'prev', 'next');
@@ -293,62 +376,44 @@ export class CertificationNav {
                 row.classList.add('prev');
             }
         });
-    }
-
-    setupSingleMode() {
-        // Count all visible base cards (CSS hides desktop-only-card and lt-only-card on mobile)
-        this.cards = Array.from(document.querySelectorAll('.cert-card:not(.desktop-only-card):not(.lt-only-card)'));
-        if (this.cards.length === 0) return;
-
-        if (this.currentCardIndex < 0 || this.currentCardIndex >= this.cards.length) {
-            this.currentCardIndex = 0;
-        }
-
-        this.cards.forEach((card, index) => {
-            card.classList.toggle('active-card', index === this.currentCardIndex);
-        });
-
-        this.syncRowWithActiveCard();
-    }
-
-    syncRowWithActiveCard() {
-        if (!this.cards.length || !this.allRows.length) return;
-        const activeCard = this.cards[this.currentCardIndex];
-        if (!activeCard) return;
 
-        const parentRow = activeCard.closest('.cert-row');
-        if (!parentRow) return;
-
-        this.allRows.forEach(row => row.classList.remove('active', 'prev', 'next'));
-        parentRow.classList.add('active');
+        this.createDotIndicators();
+        this.updateRowStates();
+        this.updateButtons();
+        this.updateAutoplay();
+        this.announcePosition();
     }
 
-    handleResize() {
-        const newMode = window.innerWidth <= 767 ? 'single' : 'row';
-        if (newMode === this.mode) return;
-        if (newMode === 'row') {
-            this.currentRow = Math.max(1, Math.min(this.currentRow, this.totalRows));
+    /**
+     * Re-pages the certificates when the viewport crosses a page-size breakpoint
+     * Keeps the first certificate of the current page in view
+     */
+    handleBreakpointChange() {
+        const pageSize = this.grid.getPageSize();
+        if (pageSize === this.grid.pageSize) return;
+
+        // Re-paging rebuilds the rows and dots, which drops focus inside them
+        const active = document.activeElement;
+        const hadDotFocus = Boolean(this.dotsContainer?.contains(active));
+        const hadRowFocus = this.rowsContainer.contains(active);
+
+        const firstVisible = (this.currentRow - 1) * this.grid.pageSize;
+        const rows = this.grid.paginate(pageSize);
+        // Prefer the page holding the focused card so focus can stay on it
+        const focusedRow = hadRowFocus ? rows.findIndex(row => row.contains(active)) : -1;
+        this.currentRow = focusedRow !== -1 ? focusedRow + 1 : Math.floor(firstVisible / pageSize) + 1;
+        this.setupRows();
+
+        if (hadDotFocus) {
+            this.getDot(this.currentRow - 1)?.focus({ preventScroll: true });
+        } else if (hadRowFocus) {
+            (focusedRow !== -1 ? active : this.allRows[this.currentRow - 1])?.focus({ preventScroll: true });
         }
-        if (newMode === 'single') {
-            this.currentCardIndex = Math.max(0, Math.min(this.currentCardIndex, this.cards.length - 1));
-        }
-        this.mode = newMode;
-        this.setupMode();
     }
 
     updateButtons() {
-        if (this.mode === 'single') {
-            if (this.prevBtn) {
-                this.prevBtn.disabled = this.currentCardIndex <= 0;
-                this.prevBtn.setAttribute('aria-disabled', this.currentCardIndex <= 0 ? 'true' : 'false');
-            }
-            if (this.nextBtn) {
-                const isDisabled = this.cards.length === 0 || this.currentCardIndex >= this.cards.length - 1;
-                this.nextBtn.disabled = isDisabled;
-                this.nextBtn.setAttribute('aria-disabled', isDisabled ? 'true' : 'false');
-            }
-            return;
-        }
+        // A focused button that becomes disabled drops focus; hand it to the other one
+        const focusedBtn = [this.prevBtn, this.nextBtn].find(btn => btn && btn === document.activeElement);
 
         if (this.prevBtn) {
             const isDisabled = this.totalRows <= 1 || this.currentRow <= 1;
@@ -360,72 +425,195 @@ export class CertificationNav {
             this.nextBtn.disabled = isDisabled;
             this.nextBtn.setAttribute('aria-disabled', isDisabled ? 'true' : 'false');
         }
+
+        if (focusedBtn?.disabled) {
+            const otherBtn = focusedBtn === this.prevBtn ? this.nextBtn : this.prevBtn;
+            if (otherBtn && !otherBtn.disabled) otherBtn.focus({ preventScroll: true });
+        }
     }
 
+    /**
+     * Opens a certificate in the zoomable preview overlay when its image is clicked
+     */
     enableImageOverlay() {
         const images = document.querySelectorAll('.cert-card .cert-image');
         if (!images.length) return;
 
         // Create a single reusable overlay
-        const overlay = document.createElement('div');
-        overlay.className = 'cert-overlay hidden';
-        overlay.setAttribute('role', 'dialog');
-        overlay.setAttribute('aria-modal', 'true');
-        overlay.setAttribute('aria-label', 'Certificate preview');
-
-        const imgWrapper = document.createElement('div');
-        imgWrapper.className = 'cert-overlay__img-wrapper';
-
-        const closeBtn = document.createElement('button');
-        closeBtn.className = 'cert-overlay__close';
-        closeBtn.setAttribute('aria-label', 'Close certificate preview');
-        closeBtn.innerHTML = '&times;';
-
-        const overlayImg = document.createElement('img');
-        overlayImg.className = 'cert-overlay__img';
-        overlayImg.alt = 'Certificate preview';
-
-        imgWrapper.appendChild(overlayImg);
-        overlay.appendChild(closeBtn);
-        overlay.appendChild(imgWrapper);
-        document.body.appendChild(overlay);
-
-        const hideOverlay = () => {
-            // Unlock scroll immediately for instant responsiveness
-            document.body.style.overflow = '';
-            document.documentElement.style.overflow = '';
-            // Then trigger fade out animation
-            requestAnimationFrame(() => {
-                overlay.classList.add('hidden');
-            });
-        };
-
-        const showOverlay = (src, altText) => {
-            overlayImg.src = src;
-            overlayImg.alt = altText || 'Certificate preview';
-            overlay.classList.remove('hidden');
-            document.body.style.overflow = 'hidden';
-            document.documentElement.style.overflow = 'hidden';
-        };
-
-        closeBtn.addEventListener('click', hideOverlay);
-        overlay.addEventListener('click', (e) => {
-            if (e.target === overlay) hideOverlay();
-        });
-        document.addEventListener('keydown', (e) => {
-            if (!overlay.classList.contains('hidden') && e.key === 'Escape') hideOverlay();
-        });
+        this.overlay = new CertificationOverlay({ grid: this.grid });
+        this.overlay.init();
+        this.overlay.details?.addEventListener('click', this.boundHandleCredentialClick);
 
         images.forEach(img => {
             img.style.cursor = 'zoom-in';
             img.addEventListener('click', () => {
-                const src = img.getAttribute('src');
-                if (!src) return;
-                showOverlay(src, img.getAttribute('alt'));
+                const certId = img.closest('.cert-card')?.getAttribute('data-cert-id');
+                if (certId) this.overlay.open(certId);
             });
         });
     }
 
+    /**
+     * Delegated click handler for the credential ID copy buttons
+     * @param {MouseEvent} e
+     */
+    handleCredentialClick(e) {
+        const button = e.target.closest?.('.cert-credential__copy');
+        if (button) this.copyCredentialId(button);
+    }
+
+    /**
+     * Copies a credential ID to the clipboard and confirms it next to the button
+     * @param {HTMLButtonElement} button - .cert-credential__copy with data-credential-id
+     */
+    async copyCredentialId(button) {
+        const credentialId = button.dataset.credentialId;
+        if (!credentialId) return;
+
+        const copied = await copyToClipboard(credentialId);
+        const status = button.parentElement.querySelector('.cert-credential__status');
+        if (!status) return;
+        document.querySelectorAll('.cert-credential__status').forEach(element => { element.textContent = ''; });
+        status.textContent = copied ? 'Copied' : 'Copy failed - select the ID instead';
+
+        clearTimeout(this.copyFeedbackTimer);
+        this.copyFeedbackTimer = setTimeout(() => { status.textContent = ''; }, COPY_FEEDBACK_DURATION);
+    }
+
+    // ------------------------------------------------------------------------
+    // Autoplay
+    // ------------------------------------------------------------------------
+
+    /**
+     * Adds the play/pause button and the listeners that hold autoplay
+     */
+    setupAutoplay() {
+        if (!this.certContainer) return;
+
+        this.autoplayBtn = document.createElement('button');
+        this.autoplayBtn.type = 'button';
+        this.autoplayBtn.className = 'cert-autoplay-toggle';
+        const icon = document.createElement('i');
+        icon.setAttribute('aria-hidden', 'true');
+        this.autoplayBtn.appendChild(icon);
+        // Sits between the rows and the dots (the dots are re-created on breakpoint changes)
+        this.certContainer.insertBefore(this.autoplayBtn, this.dotsContainer);
+
+        this.autoplayBtn.addEventListener('click', this.boundToggleAutoplay);
+        this.certContainer.addEventListener('mouseenter', this.boundHandleHoverStart);
+        this.certContainer.addEventListener('mouseleave', this.boundHandleHoverEnd);
+        this.certContainer.addEventListener('focusin', this.boundHandleFocusChange);
+        this.certContainer.addEventListener('focusout', this.boundHandleFocusChange);
+        document.addEventListener('visibilitychange', this.boundUpdateAutoplay);
+        this.autoplayQuery?.addEventListener?.('change', this.boundUpdateAutoplay);
+        this.reducedMotionQuery?.addEventListener?.('change', this.boundHandleReducedMotionChange);
+
+        this.updateAutoplay();
+    }
+
+    /**
+     * @returns {boolean} Whether autoplay applies at all (option, motion preference, viewport, pages)
+     */
+    canAutoplay() {
+        return this.autoplay
+            && !this.prefersReducedMotion
+            && (this.autoplayQuery?.matches ?? true)
+            && this.totalRows > 1;
+    }
+
+    /**
+     * Starts or stops the timer from the current state and syncs the button
+     */
+    updateAutoplay() {
+        if (!this.autoplayBtn) return;
+
+        const available = this.canAutoplay();
+        const shouldRun = available && !this.isAutoplayPaused && this.autoplayHolds.size === 0 && !document.hidden;
+
+        this.autoplayBtn.hidden = !available;
+        this.autoplayBtn.setAttribute('aria-label', this.isAutoplayPaused
+            ? 'Start automatic certificate rotation'
+            : 'Stop automatic certificate rotation');
+        this.autoplayBtn.firstElementChild.className = `fas ${this.isAutoplayPaused ? 'fa-play' : 'fa-pause'}`;
+
+        if (shouldRun && !this.autoplayTimer) {
+            this.autoplayTimer = setInterval(() => this.advanceAutoplay(), this.autoplayInterval);
+        } else if (!shouldRun && this.autoplayTimer) {
+            clearInterval(this.autoplayTimer);
+            this.autoplayTimer = null;
+        }
+
+        // Automatic page changes are not announced (WAI-ARIA carousel pattern)
+        this.announcementEl?.setAttribute('aria-live', this.autoplayTimer ? 'off' : 'polite');
+    }
+
+    /**
+     * Shows the next page, wrapping to the first; skipped while the preview is open
+     */
+    advanceAutoplay() {
+        if (this.overlay?.isOpen()) return;
+        this.goToIndex(this.currentRow >= this.totalRows ? 0 : this.currentRow);
+    }
+
+    /**
+     * Play/pause button
+     */
+    toggleAutoplay() {
+        this.isAutoplayPaused = !this.isAutoplayPaused;
+        this.updateAutoplay();
+    }
+
+    /**
+     * @param {string} reason - 'hover' or 'focus'
+     * @param {boolean} isHeld
+     */
+    holdAutoplay(reason, isHeld) {
+        if (isHeld) {
+            this.autoplayHolds.add(reason);
+        } else {
+            this.autoplayHolds.delete(reason);
+        }
+        this.updateAutoplay();
+    }
+
+    /**
+     * Holds autoplay while focus is inside the carousel
+     * (focus on the play/pause button itself does not count)
+     * @param {FocusEvent} e
+     */
+    handleFocusChange(e) {
+        const focused = e.type === 'focusin' ? e.target : e.relatedTarget;
+        const isInside = Boolean(focused && focused !== this.autoplayBtn && this.certContainer.contains(focused));
+        this.holdAutoplay('focus', isInside);
+    }
+
+    /**
+     * Handle reduced motion preference change
+     * @param {MediaQueryListEvent} e
+     */
+    handleReducedMotionChange(e) {
+        this.prefersReducedMotion = e.matches;
+        this.updateAutoplay();
+    }
+
+    cleanupAutoplay() {
+        clearInterval(this.autoplayTimer);
+        this.autoplayTimer = null;
+        if (!this.autoplayBtn) return;
+
+        this.certContainer.removeEventListener('mouseenter', this.boundHandleHoverStart);
+        this.certContainer.removeEventListener('mouseleave', this.boundHandleHoverEnd);
+        this.certContainer.removeEventListener('focusin', this.boundHandleFocusChange);
+        this.certContainer.removeEventListener('focusout', this.boundHandleFocusChange);
+        document.removeEventListener('visibilitychange', this.boundUpdateAutoplay);
+        this.autoplayQuery?.removeEventListener?.('change', this.boundUpdateAutoplay);
+        this.reducedMotionQuery?.removeEventListener?.('change', this.boundHandleReducedMotionChange);
+
+        this.autoplayBtn.remove();
+        this.autoplayBtn = null;
+        this.autoplayHolds.clear();
+    }
+
     cleanup() {
         if (this.prevBtn) {
             this.prevBtn.removeEventListener('click', this.boundNavigatePrev);
@@ -437,8 +625,14 @@ export class CertificationNav {
             this.rowsContainer.removeEventListener('touchstart', this.boundHandleTouchStart);
             this.rowsContainer.removeEventListener('touchmove', this.boundHandleTouchMove);
             this.rowsContainer.removeEventListener('touchend', this.boundHandleTouchEnd);
+            this.rowsContainer.removeEventListener('click', this.boundHandleCredentialClick);
+            this.rowsContainer.removeEventListener('keydown', this.boundHandleRowsKeydown);
         }
-        window.removeEventListener('resize', this.boundHandleResize);
+        clearTimeout(this.copyFeedbackTimer);
+        this.overlay?.cleanup();
+        this.overlay = null;
+        this.cleanupAutoplay();
+        this.grid?.pageQueries.forEach(({ query }) => query?.removeEventListener?.('change', this.boundHandleBreakpoint));
         
         // Remove dot indicators
         if (this.dotsContainer) {
@@ -454,10 +648,10 @@ export class CertificationNav {
     announcePosition() {
         if (!this.announcementEl) return;
 
-        const total = this.mode === 'single' ? this.cards.length : this.totalRows;
+        const total = this.totalRows;
         if (total <= 0) return;
 
-        const index = this.mode === 'single' ? this.currentCardIndex + 1 : this.currentRow;
-        this.announcementEl.textContent = `Showing ${index} of ${total} certifications`;
+        const itemLabel = this.getPageSize() === 1 ? 'certificate' : 'page';
+        this.announcementEl.textContent = `Showing ${itemLabel} ${this.currentRow} of ${total} certifications`;
     }
 }
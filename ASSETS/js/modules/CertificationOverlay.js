@@ -0,0 +1,452 @@
+/**
+ * ============================================================================
+ * CERTIFICATION OVERLAY MODULE - CertificationOverlay.js
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Full-screen certificate preview opened from a card image. Certificate
+ * scans are dense, so the preview can be zoomed and panned, and it pages
+ * through every certificate without closing.
+ *
+ * FEATURES:
+ * - Pinch-to-zoom and one-finger pan on touch screens
+ * - Double-click / double-tap toggles zoom at the pointer
+ * - Mouse wheel zoom around the cursor, drag to pan while zoomed
+ * - Previous/next buttons and Left/Right arrow keys across all certificates
+ * - Caption with title, issuer and position; credential ID / verify link
+ * - Escape or a backdrop click closes; focus stays inside while open
+ *
+ * DEPENDENCIES:
+ * - ../data/certifications.js - Certificates to page through
+ * - ../config/constants.js - Zoom and gesture settings
+ * - ./CertificationGrid.js - Credential markup shared with the cards (optional)
+ *
+ * USAGE:
+ * const overlay = new CertificationOverlay({ grid });
+ * overlay.init();
+ * overlay.open('simplilearn-networking');
+ *
+ * ============================================================================
+ */
+
+import { getAllCertifications } from '../data/certifications.js';
+import { CERT_VIEWER, KEYS } from '../config/constants.js';
+import { trapFocus } from '../utils/modal.js';
+
+export class CertificationOverlay {
+    /**
+     * @param {Object} [options]
+     * @param {CertificationGrid} [options.grid] - Builds the credential block under the image
+     * @param {Certification[]} [options.certifications=getAllCertifications()] - Certificates to page through
+     */
+    constructor(options = {}) {
+        this.grid = options.grid || null;
+        this.certifications = options.certifications || getAllCertifications();
+
+        /** @type {number} Index of the certificate shown, -1 while closed */
+        this.currentIndex = -1;
+
+        // Zoom state: scale around the image centre, then translate (px)
+        this.scale = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+
+        /** @type {Map<number, {x: number, y: number}>} Active pointers by pointerId */
+        this.pointers = new Map();
+        this.gesture = null;
+        this.lastTap = null;
+        this.didDrag = false;
+        this.previousFocus = null;
+
+        this.overlay = null;
+        this.stage = null;
+        this.image = null;
+
+        this.boundHandleKeydown = (e) => this.handleKeydown(e);
+        this.boundHandlePointerDown = (e) => this.handlePointerDown(e);
+        this.boundHandlePointerMove = (e) => this.handlePointerMove(e);
+        this.boundHandlePointerUp = (e) => this.handlePointerUp(e);
+        this.boundHandleWheel = (e) => this.handleWheel(e);
+        this.boundHandleDoubleClick = (e) => this.handleDoubleClick(e);
+    }
+
+    /**
+     * Builds the overlay (hidden) and attaches its listeners
+     */
+    init() {
+        if (this.overlay || !this.certifications.length) return;
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'cert-overlay hidden';
+        this.overlay.setAttribute('role', 'dialog');
+        this.overlay.setAttribute('aria-modal', 'true');
+        this.overlay.setAttribute('aria-label', 'Certificate preview');
+
+        this.closeBtn = this.createButton('cert-overlay__close', 'Close certificate preview', '\u00D7');
+        this.prevBtn = this.createButton('cert-overlay__nav cert-overlay__nav--prev', 'Previous certificate', '\u2039');
+        this.nextBtn = this.createButton('cert-overlay__nav cert-overlay__nav--next', 'Next certificate', '\u203A');
+
+        // Stage: gestures are handled here, the image is transformed inside it
+        this.stage = document.createElement('div');
+        this.stage.className = 'cert-overlay__img-wrapper';
+
+        this.image = document.createElement('img');
+        this.image.className = 'cert-overlay__img';
+        this.image.alt = 'Certificate preview';
+        this.image.draggable = false;
+        this.stage.appendChild(this.image);
+
+        // Caption: title, issuer and position (announced when paging)
+        this.caption = document.createElement('div');
+        this.caption.className = 'cert-overlay__caption';
+        this.caption.setAttribute('aria-live', 'polite');
+
+        this.captionTitle = document.createElement('p');
+        this.captionTitle.className = 'cert-overlay__title';
+        this.captionIssuer = document.createElement('p');
+        this.captionIssuer.className = 'cert-overlay__issuer';
+        this.captionCounter = document.createElement('p');
+        this.captionCounter.className = 'cert-overlay__counter';
+        this.caption.append(this.captionTitle, this.captionIssuer, this.captionCounter);
+
+        // Credential ID and "Verify credential" link of the previewed certificate
+        this.details = document.createElement('div');
+        this.details.className = 'cert-overlay__details';
+        this.details.hidden = true;
+
+        this.overlay.append(this.closeBtn, this.prevBtn, this.nextBtn, this.stage, this.caption, this.details);
+        document.body.appendChild(this.overlay);
+
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.prevBtn.addEventListener('click', () => this.show(this.currentIndex - 1));
+        this.nextBtn.addEventListener('click', () => this.show(this.currentIndex + 1));
+        this.overlay.addEventListener('click', (e) => {
+            // Backdrop (or empty stage area) closes, unless the click ended a drag
+            const isBackdrop = e.target === this.overlay || (e.target === this.stage && this.scale === 1);
+            if (isBackdrop && !this.didDrag) this.close();
+        });
+
+        this.stage.addEventListener('pointerdown', this.boundHandlePointerDown);
+        this.stage.addEventListener('pointermove', this.boundHandlePointerMove);
+        this.stage.addEventListener('pointerup', this.boundHandlePointerUp);
+        this.stage.addEventListener('pointercancel', this.boundHandlePointerUp);
+        this.stage.addEventListener('wheel', this.boundHandleWheel, { passive: false });
+        this.stage.addEventListener('dblclick', this.boundHandleDoubleClick);
+        document.addEventListener('keydown', this.boundHandleKeydown);
+    }
+
+    /**
+     * @param {string} className
+     * @param {string} label - Accessible name
+     * @param {string} text - Visible glyph
+     * @returns {HTMLButtonElement}
+     */
+    createButton(className, label, text) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.setAttribute('aria-label', label);
+        button.textContent = text;
+        return button;
+    }
+
+    /**
+     * @returns {boolean} Whether the overlay is showing
+     */
+    isOpen() {
+        return this.currentIndex !== -1;
+    }
+
+    /**
+     * Opens the overlay on a certificate
+     * @param {string} certId - Certification id
+     */
+    open(certId) {
+        if (!this.overlay) return;
+        const index = this.certifications.findIndex(certification => certification.id === certId);
+        if (index === -1) return;
+
+        if (!this.isOpen()) {
+            this.previousFocus = document.activeElement;
+        }
+        this.show(index);
+
+        this.overlay.classList.remove('hidden');
+        document.body.style.overflow = 'hidden';
+        document.documentElement.style.overflow = 'hidden';
+        this.closeBtn.focus({ preventScroll: true });
+    }
+
+    /**
+     * Closes the overlay and returns focus to where it was
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        this.currentIndex = -1;
+        this.pointers.clear();
+        this.gesture = null;
+
+        // Unlock scroll immediately for instant responsiveness
+        document.body.style.overflow = '';
+        document.documentElement.style.overflow = '';
+        // Then trigger fade out animation
+        requestAnimationFrame(() => {
+            this.overlay?.classList.add('hidden');
+        });
+
+        if (this.previousFocus?.isConnected) {
+            this.previousFocus.focus({ preventScroll: true });
+        }
+        this.previousFocus = null;
+    }
+
+    /**
+     * Shows the certificate at `index` with zoom reset
+     * @param {number} index - Index into this.certifications
+     */
+    show(index) {
+        const certification = this.certifications[index];
+        if (!certification) return;
+
+        this.currentIndex = index;
+        this.resetZoom();
+
+        this.image.src = certification.image;
+        this.image.alt = `${certification.title} certificate`;
+
+        this.captionTitle.textContent = certification.title;
+        this.captionIssuer.textContent = certification.issuer;
+        this.captionCounter.textContent = `${index + 1} / ${this.certifications.length}`;
+
+        const details = this.grid?.createCredentialDetails(certification);
+        this.details.replaceChildren(...(details ? [details] : []));
+        this.details.hidden = !details;
+
+        const isFirst = index === 0;
+        const isLast = index === this.certifications.length - 1;
+        // Keep focus inside the dialog when the focused button becomes disabled
+        if ((isFirst && document.activeElement === this.prevBtn) || (isLast && document.activeElement === this.nextBtn)) {
+            this.closeBtn.focus({ preventScroll: true });
+        }
+        this.prevBtn.disabled = isFirst;
+        this.nextBtn.disabled = isLast;
+        const single = this.certifications.length <= 1;
+        this.prevBtn.hidden = single;
+        this.nextBtn.hidden = single;
+    }
+
+    /**
+     * @param {KeyboardEvent} e
+     */
+    handleKeydown(e) {
+        if (!this.isOpen()) return;
+
+        switch (e.key) {
+            case KEYS.ESCAPE:
+                this.close();
+                break;
+            case KEYS.ARROW_LEFT:
+                e.preventDefault();
+                this.show(this.currentIndex - 1);
+                break;
+            case KEYS.ARROW_RIGHT:
+                e.preventDefault();
+                this.show(this.currentIndex + 1);
+                break;
+            case KEYS.TAB:
+                trapFocus(this.overlay, e);
+                break;
+        }
+    }
+
+    // ------------------------------------------------------------------------
+    // Zoom and pan
+    // ------------------------------------------------------------------------
+
+    resetZoom() {
+        this.scale = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.applyTransform();
+    }
+
+    /**
+     * Zooms to `scale`, keeping the image point under (clientX, clientY) in place
+     * @param {number} scale - Target zoom factor (clamped to 1..MAX_ZOOM)
+     * @param {number} clientX
+     * @param {number} clientY
+     */
+    zoomTo(scale, clientX, clientY) {
+        const nextScale = Math.min(CERT_VIEWER.MAX_ZOOM, Math.max(1, scale));
+        if (nextScale === 1) {
+            this.resetZoom();
+            return;
+        }
+
+        // Untransformed image centre (= stage centre; the image is centred in it).
+        // Read from the stage so an unfinished zoom transition does not skew it
+        const rect = this.stage.getBoundingClientRect();
+        const centerX = rect.left + rect.width / 2;
+        const centerY = rect.top + rect.height / 2;
+        const ratio = nextScale / this.scale;
+
+        this.offsetX = (clientX - centerX) - ratio * (clientX - centerX - this.offsetX);
+        this.offsetY = (clientY - centerY) - ratio * (clientY - centerY - this.offsetY);
+        this.scale = nextScale;
+        this.applyTransform();
+    }
+
+    /**
+     * Double-click / double-tap: zoom in at the point, or back out to fit
+     * @param {number} clientX
+     * @param {number} clientY
+     */
+    toggleZoom(clientX, clientY) {
+        if (this.scale > 1) {
+            this.resetZoom();
+        } else {
+            this.zoomTo(CERT_VIEWER.DOUBLE_TAP_ZOOM, clientX, clientY);
+        }
+    }
+
+    /**
+     * Keeps the zoomed image covering the stage (no panning past its edges)
+     */
+    clampOffset() {
+        const maxX = Math.max(0, (this.image.offsetWidth * this.scale - this.stage.clientWidth) / 2);
+        const maxY = Math.max(0, (this.image.offsetHeight * this.scale - this.stage.clientHeight) / 2);
+        this.offsetX = Math.min(maxX, Math.max(-maxX, this.offsetX));
+        this.offsetY = Math.min(maxY, Math.max(-maxY, this.offsetY));
+    }
+
+    applyTransform() {
+        if (!this.image) return;
+        if (this.scale > 1) this.clampOffset();
+
+        this.image.style.transform = this.scale > 1
+            ? `translate3d(${this.offsetX}px, ${this.offsetY}px, 0) scale(${this.scale})`
+            : '';
+        this.overlay.classList.toggle('is-zoomed', this.scale > 1);
+    }
+
+    /**
+     * @param {WheelEvent} e
+     */
+    handleWheel(e) {
+        e.preventDefault();
+        this.zoomTo(this.scale * Math.exp(-e.deltaY * CERT_VIEWER.WHEEL_ZOOM_SPEED), e.clientX, e.clientY);
+    }
+
+    /**
+     * Mouse double-click (touch double-taps are detected in handlePointerUp)
+     * @param {MouseEvent} e
+     */
+    handleDoubleClick(e) {
+        e.preventDefault();
+        this.toggleZoom(e.clientX, e.clientY);
+    }
+
+    /**
+     * @param {PointerEvent} e
+     */
+    handlePointerDown(e) {
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        this.stage.setPointerCapture?.(e.pointerId);
+        if (this.pointers.size === 1) this.didDrag = false;
+        this.startGesture();
+    }
+
+    /**
+     * Starts a pan (one pointer) or pinch (two pointers) from the current pointers
+     */
+    startGesture() {
+        const [first, second] = [...this.pointers.values()];
+        if (!first) {
+            this.gesture = null;
+        } else if (second) {
+            this.gesture = {
+                type: 'pinch',
+                distance: Math.hypot(second.x - first.x, second.y - first.y) || 1,
+                scale: this.scale
+            };
+        } else {
+            this.gesture = {
+                type: 'pan',
+                startX: first.x,
+                startY: first.y,
+                offsetX: this.offsetX,
+                offsetY: this.offsetY
+            };
+        }
+        this.overlay.classList.toggle('is-dragging', Boolean(this.gesture));
+    }
+
+    /**
+     * @param {PointerEvent} e
+     */
+    handlePointerMove(e) {
+        if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        const [first, second] = [...this.pointers.values()];
+
+        if (this.gesture.type === 'pinch' && second) {
+            const distance = Math.hypot(second.x - first.x, second.y - first.y);
+            this.zoomTo(this.gesture.scale * (distance / this.gesture.distance),
+                (first.x + second.x) / 2, (first.y + second.y) / 2);
+            this.didDrag = true;
+            return;
+        }
+
+        const deltaX = first.x - this.gesture.startX;
+        const deltaY = first.y - this.gesture.startY;
+        if (Math.hypot(deltaX, deltaY) > CERT_VIEWER.TAP_TOLERANCE) this.didDrag = true;
+        if (this.scale === 1) return;
+
+        this.offsetX = this.gesture.offsetX + deltaX;
+        this.offsetY = this.gesture.offsetY + deltaY;
+        this.applyTransform();
+    }
+
+    /**
+     * @param {PointerEvent} e
+     */
+    handlePointerUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.delete(e.pointerId);
+
+        // Double-tap on touch / pen
+        if (e.type === 'pointerup' && e.pointerType !== 'mouse' && !this.didDrag && this.pointers.size === 0) {
+            const now = e.timeStamp || Date.now();
+            const last = this.lastTap;
+            const isDoubleTap = last && now - last.time < CERT_VIEWER.DOUBLE_TAP_DELAY
+                && Math.hypot(e.clientX - last.x, e.clientY - last.y) < CERT_VIEWER.TAP_TOLERANCE * 3;
+
+            this.lastTap = isDoubleTap ? null : { time: now, x: e.clientX, y: e.clientY };
+            if (isDoubleTap) this.toggleZoom(e.clientX, e.clientY);
+        }
+
+        // Lifting one finger of a pinch continues as a pan with the other
+        this.startGesture();
+    }
+
+    /**
+     * Cleanup method
+     */
+    cleanup() {
+        document.removeEventListener('keydown', this.boundHandleKeydown);
+        if (this.isOpen()) {
+            document.body.style.overflow = '';
+            document.documentElement.style.overflow = '';
+        }
+        this.overlay?.remove();
+        this.overlay = null;
+        this.stage = null;
+        this.image = null;
+        this.currentIndex = -1;
+        this.pointers.clear();
+    }
+}
@@ -5,6 +5,7 @@
  */
 
 import { FORM_CONFIG, SECURITY_PATTERNS } from '../config/form-config.js';
+import { html, setHTML } from '../utils/dom.js';
 
 export class FormManager {
     constructor() {
@@ -350,9 +351,9 @@ ${userMessage || '(No message provided)'}
         this.inputs.forEach(input => input.disabled = !enabled);
 
         if (enabled) {
-            this.submitButton.innerHTML = '<i class="fas fa-paper-plane"></i> Send Message';
+            setHTML(this.submitButton, html`<i class="fas fa-paper-plane"></i> Send Message`);
         } else {
-            this.submitButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
+            setHTML(this.submitButton, html`<i class="fas fa-spinner fa-spin"></i> Sending...`);
         }
     }
 
@@ -366,7 +367,8 @@ ${userMessage || '(No message provided)'}
         
         const iconName = type === 'success' ? 'check-circle' : 'exclamation-circle';
         
-        notification.innerHTML = `
+        // Message text is escaped by the html tag - it is never parsed as markup
+        setHTML(notification, html`
             <div class="form-notification__icon">
                 <i class="fas fa-${iconName}"></i>
             </div>
@@ -377,7 +379,7 @@ ${userMessage || '(No message provided)'}
             <button class="form-notification__close" aria-label="Close notification">
                 <i class="fas fa-times"></i>
             </button>
-        `;
+        `);
 
         document.body.appendChild(notification);
 
@@ -1,32 +1,270 @@
 /**
  * Portfolio Filter Module
- * Handles project filtering by category
+ * Handles project filtering by category, technology tags, lifecycle status and full-text search
+ * Filter buttons are generated from the category registry in data/categories.js
+ * Status chips come from data/statuses.js; statuses marked hiddenByDefault (archived) start excluded
+ * Filter state is mirrored in the URL query string so filtered views can be shared
+ * Cards can be sorted (newest, oldest, A–Z, duration) with an animated reorder
+ * Results are paged ("Show N more" / "Show less") with a page size per breakpoint
  */
 
 import { debounce } from '../utils/helpers.js';
+import { prefersReducedMotion } from '../utils/index.js';
+import { tokenize, createSearchIndex, searchIndex, escapeRegExp } from '../utils/search.js';
+import { PORTFOLIO } from '../config/constants.js';
+import {
+    getAllProjects,
+    getProjectCategories,
+    getProjectStatuses,
+    getProjectTechnologies,
+    getProjectCount,
+    getProjectById
+} from '../data/projects.js';
+import { getProjectDates } from '../data/dates.js';
+import { ALL_CATEGORY, getCategoryBySlug } from '../data/categories.js';
+import { getStatusBySlug, getDefaultHiddenStatuses } from '../data/statuses.js';
+
+/**
+ * Query string parameter names used to persist the filter state
+ * The hash is left alone so ScrollManager's section syncing keeps working
+ */
+const URL_PARAMS = {
+    CATEGORY: 'category',
+    TAGS: 'tags',
+    MATCH: 'match',
+    STATUS: 'status',
+    QUERY: 'q',
+    PAGES: 'pages',
+    SORT: 'sort'
+};
+
+/**
+ * Sort orders offered by the sort control, mapped to a project comparator
+ * 'featured' keeps the order of projects.js (or search relevance while searching)
+ */
+const SORTERS = {
+    featured: null,
+    newest: (a, b) => projectTime(b) - projectTime(a),
+    oldest: (a, b) => projectTime(a) - projectTime(b),
+    title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' }),
+    duration: (a, b) => (getProjectDates(b)?.durationDays ?? 0) - (getProjectDates(a)?.durationDays ?? 0)
+};
+
+const DEFAULT_SORT = 'featured';
+
+/**
+ * Completion time used for date sorting (undated projects sort last when newest first)
+ * @param {Project} project
+ * @returns {number}
+ */
+function projectTime(project) {
+    return getProjectDates(project)?.completed.getTime() ?? 0;
+}
+
+/**
+ * Project fields included in the search index, mapped to their ranking weight
+ */
+const SEARCH_FIELDS = {
+    title: 5,
+    technologies: 4,
+    description: 2,
+    features: 2,
+    longDescription: 1
+};
 
 export class PortfolioFilter {
-    constructor() {
-        this.filterButtons = document.querySelectorAll('.project-categories .category-btn');
+    /**
+     * @param {Object} options - Configuration options
+     * @param {Function} [options.onChange] - Called with the matching project ids
+     *   and active category after every filter pass (e.g. to sync the timeline)
+     * @param {{minWidth: number, size: number}[]} [options.pageSizes=PORTFOLIO.PAGE_SIZES] -
+     *   Projects per page, widest breakpoint first
+     */
+    constructor(options = {}) {
+        this.onChange = options.onChange || null;
+        this.categoriesContainer = document.querySelector('.project-categories');
+        this.filterButtons = [];
         this.projectCards = document.querySelectorAll('.project-card');
+        this.cardOrder = Array.from(this.projectCards);
         this.viewMoreBtn = document.getElementById('viewMoreBtn');
+        this.showLessBtn = document.getElementById('showLessBtn');
+        this.pagerStatus = document.getElementById('portfolioPagerStatus');
         this.activeFilter = 'all';
         this.isAnimating = false;
         this.animationDuration = 400;
         this.animateFrame = null;
-        this.debouncedPerformFilter = debounce(this.performFilter.bind(this), 150);
+        this.debouncedPerformFilter = debounce(this.performFilter.bind(this), PORTFOLIO.FILTER_DEBOUNCE);
+
+        // Search state
+        this.searchInput = document.getElementById('projectSearch');
+        this.searchClearBtn = document.getElementById('projectSearchClear');
+        this.searchStatus = document.getElementById('projectSearchStatus');
+        this.searchQuery = '';
+        this.searchIndex = createSearchIndex(getAllProjects(), SEARCH_FIELDS);
+        this.originalText = new WeakMap();
+
+        // Technology tag state
+        this.tagContainer = document.querySelector('.project-tags');
+        this.tagMatchButtons = document.querySelectorAll('.tag-match-btn');
+        this.tagClearBtn = document.getElementById('projectTagClear');
+        this.resultCount = document.getElementById('projectResultCount');
+        this.selectedTags = new Set();
+        this.tagMatchMode = 'any';
+
+        // Lifecycle status state (a status chip is pressed while its projects are included)
+        this.statusContainer = document.querySelector('.project-status-filter');
+        this.projectStatuses = getProjectStatuses();
+        this.defaultStatuses = this.getDefaultStatuses();
+        this.includedStatuses = new Set(this.defaultStatuses);
+
+        // Sort state
+        this.sortSelect = document.getElementById('projectSort');
+        this.sortOrder = DEFAULT_SORT;
+
+        this.projectTechnologies = new Map(getAllProjects().map(project =>
+            [project.id, new Set(project.technologies.map(tech => tech.toLowerCase()))]));
+
+        // URL state
+        this.lastQueryString = null;
+        this.debouncedReplaceURL = debounce(() => this.updateURL({ replace: true }), PORTFOLIO.FILTER_DEBOUNCE);
+        this.boundHandlePopState = () => this.handlePopState();
         
-        this.visibleLimit = 7;
-        this.isExpanded = false;
+        // Paging state
+        this.pageSizes = options.pageSizes || PORTFOLIO.PAGE_SIZES;
+        this.pageQueries = this.pageSizes.map(({ minWidth, size }) => ({
+            size,
+            query: window.matchMedia?.(`(min-width: ${minWidth}px)`) || null
+        }));
+        this.boundHandleBreakpoint = () => this.handleBreakpointChange();
+        this.pageSize = this.getPageSize();
+        this.pagesShown = 1;
+
+        /** @type {string[]} Ids of projects matching the current filter, in display order */
+        this.matchingProjectIds = this.cardOrder.map(card => card.getAttribute('data-project-id'));
     }
 
     init() {
-        if (!this.filterButtons.length || !this.projectCards.length) return;
+        if (!this.categoriesContainer || !this.projectCards.length) return;
         
+        this.renderFilterButtons();
+        this.renderTagChips();
+        this.renderStatusChips();
+
+        // A shared URL's sort wins; otherwise reuse the visitor's last choice
+        const state = this.readStateFromURL();
+        const hasSortParam = new URLSearchParams(window.location.search).has(URL_PARAMS.SORT);
+        if (!hasSortParam) state.sort = this.getStoredSort();
+        this.applyState(state);
+        if (!hasSortParam && state.sort !== DEFAULT_SORT) {
+            this.lastQueryString = null; // Force the restored sort into the URL
+            this.updateURL({ replace: true });
+        }
+
         this.setupEventListeners();
         this.setupInitialState();
     }
 
+    /**
+     * Builds the "All Projects" button plus one button per category in use,
+     * each labelled with its project count
+     */
+    renderFilterButtons() {
+        const categories = [
+            { ...ALL_CATEGORY, count: getProjectCount() },
+            ...getProjectCategories()
+        ];
+
+        this.filterButtons = categories.map(category => this.createFilterButton(category));
+        this.categoriesContainer.replaceChildren(...this.filterButtons);
+    }
+
+    /**
+     * Creates a single category filter button
+     * @param {{slug: string, label: string, icon: string, count: number}} category
+     * @returns {HTMLButtonElement}
+     */
+    createFilterButton(category) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'category-btn';
+        button.setAttribute('data-filter', category.slug);
+        button.setAttribute('aria-pressed', 'false');
+
+        const projectsLabel = `${category.count} ${category.count === 1 ? 'project' : 'projects'}`;
+        button.setAttribute('aria-label', category.slug === ALL_CATEGORY.slug
+            ? `Show all projects (${projectsLabel})`
+            : `Filter by ${category.label} (${projectsLabel})`);
+
+        const icon = document.createElement('i');
+        icon.className = category.icon;
+
+        const count = document.createElement('span');
+        count.className = 'category-count';
+        count.setAttribute('aria-hidden', 'true');
+        count.textContent = category.count;
+
+        button.append(icon, ` ${category.label} `, count);
+        return button;
+    }
+
+    /**
+     * Builds one toggle chip per technology used across all projects
+     */
+    renderTagChips() {
+        if (!this.tagContainer) return;
+
+        const chips = getProjectTechnologies().map(({ name, count }) => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'tag-chip';
+            chip.setAttribute('data-tag', name.toLowerCase());
+            chip.setAttribute('aria-pressed', 'false');
+            chip.setAttribute('aria-label', `${name} (${count} ${count === 1 ? 'project' : 'projects'})`);
+
+            const countEl = document.createElement('span');
+            countEl.className = 'tag-chip__count';
+            countEl.setAttribute('aria-hidden', 'true');
+            countEl.textContent = count;
+
+            chip.append(`${name} `, countEl);
+            return chip;
+        });
+
+        this.tagContainer.replaceChildren(...chips);
+    }
+
+    /**
+     * Builds one toggle chip per status in use
+     * The group stays hidden while every project shares a single status
+     */
+    renderStatusChips() {
+        if (!this.statusContainer) return;
+
+        const chips = this.projectStatuses.map(({ slug, label, icon, count }) => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = `status-chip status-chip--${slug}`;
+            chip.setAttribute('data-status', slug);
+            chip.setAttribute('aria-pressed', 'false');
+            chip.setAttribute('aria-label', `${label} (${count} ${count === 1 ? 'project' : 'projects'})`);
+
+            const iconEl = document.createElement('i');
+            iconEl.className = icon;
+            iconEl.setAttribute('aria-hidden', 'true');
+
+            const countEl = document.createElement('span');
+            countEl.className = 'status-chip__count';
+            countEl.setAttribute('aria-hidden', 'true');
+            countEl.textContent = count;
+
+            chip.append(iconEl, ` ${label} `, countEl);
+            return chip;
+        });
+
+        this.statusContainer.replaceChildren(...chips);
+        this.statusContainer.hidden = chips.length < 2;
+    }
+
     setupEventListeners() {
         this.filterButtons.forEach(button => {
             button.addEventListener('click', (e) => {
@@ -39,18 +277,423 @@ export class PortfolioFilter {
                 if (filterValue === this.activeFilter && filterValue !== 'all') return;
 
                 this.activeFilter = filterValue;
-                this.isExpanded = false; // Reset expansion on filter change
+                this.pagesShown = 1; // Back to the first page on filter change
                 this.updateActiveButton(clickedButton);
+                this.updateURL();
                 this.debouncedPerformFilter(filterValue);
             }, { passive: true });
         });
 
         if (this.viewMoreBtn) {
-            this.viewMoreBtn.addEventListener('click', () => {
-                this.isExpanded = true;
-                this.performFilter(this.activeFilter);
+            this.viewMoreBtn.addEventListener('click', () => this.showMore());
+        }
+
+        if (this.showLessBtn) {
+            this.showLessBtn.addEventListener('click', () => this.showLess());
+        }
+
+        // Page size follows the breakpoint
+        this.pageQueries.forEach(({ query }) => query?.addEventListener?.('change', this.boundHandleBreakpoint));
+
+        if (this.searchInput) {
+            this.searchInput.addEventListener('input', () => {
+                this.searchQuery = this.searchInput.value.trim();
+                this.pagesShown = 1;
+                this.updateSearchClearButton();
+                this.debouncedReplaceURL();
+                this.debouncedPerformFilter(this.activeFilter);
+            });
+
+            this.searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && this.searchInput.value) {
+                    e.preventDefault();
+                    this.clearSearch();
+                }
+            });
+        }
+
+        if (this.searchClearBtn) {
+            this.searchClearBtn.addEventListener('click', () => {
+                this.clearSearch();
+                this.searchInput?.focus();
+            });
+        }
+
+        if (this.tagContainer) {
+            this.tagContainer.addEventListener('click', (e) => {
+                const chip = e.target.closest('.tag-chip');
+                if (chip) this.toggleTag(chip.getAttribute('data-tag'));
+            });
+        }
+
+        if (this.statusContainer) {
+            this.statusContainer.addEventListener('click', (e) => {
+                const chip = e.target.closest('.status-chip');
+                if (chip) this.toggleStatus(chip.getAttribute('data-status'));
             });
         }
+
+        this.tagMatchButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.setTagMatchMode(button.getAttribute('data-match'));
+            });
+        });
+
+        if (this.tagClearBtn) {
+            this.tagClearBtn.addEventListener('click', () => this.clearTags());
+        }
+
+        if (this.sortSelect) {
+            this.sortSelect.addEventListener('change', () => this.setSortOrder(this.sortSelect.value));
+        }
+
+        // Browser back/forward restores the filter state stored in the URL
+        window.addEventListener('popstate', this.boundHandlePopState);
+    }
+
+    /**
+     * Reads the filter state from the current URL query string
+     * Unknown categories, tags and statuses are ignored; without a status
+     * parameter the default statuses apply (an empty one includes none)
+     * @returns {{category: string, tags: string[], match: string, statuses: string[], query: string, pages: number, sort: string}}
+     */
+    readStateFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        const category = params.get(URL_PARAMS.CATEGORY);
+        const hasCategory = this.filterButtons.some(btn => btn.getAttribute('data-filter') === category);
+        const knownTags = new Set(Array.from(this.projectTechnologies.values(), techs => [...techs]).flat());
+
+        return {
+            category: hasCategory ? category : ALL_CATEGORY.slug,
+            tags: (params.get(URL_PARAMS.TAGS) || '')
+                .split(',')
+                .map(tag => tag.trim().toLowerCase())
+                .filter(tag => knownTags.has(tag)),
+            match: params.get(URL_PARAMS.MATCH) === 'all' ? 'all' : 'any',
+            statuses: params.has(URL_PARAMS.STATUS)
+                ? params.get(URL_PARAMS.STATUS)
+                    .split(',')
+                    .map(status => status.trim().toLowerCase())
+                    .filter(status => this.projectStatuses.some(({ slug }) => slug === status))
+                : [...this.defaultStatuses],
+            query: (params.get(URL_PARAMS.QUERY) || '').trim(),
+            pages: Math.max(1, parseInt(params.get(URL_PARAMS.PAGES), 10) || 1),
+            sort: this.isValidSort(params.get(URL_PARAMS.SORT)) ? params.get(URL_PARAMS.SORT) : DEFAULT_SORT
+        };
+    }
+
+    /**
+     * Applies a filter state to the module and its controls without
+     * touching the URL or running the filter
+     * @param {Object} state - Filter state from readStateFromURL()
+     */
+    applyState(state) {
+        this.activeFilter = state.category;
+        this.selectedTags = new Set(state.tags);
+        this.tagMatchMode = state.match;
+        this.includedStatuses = new Set(state.statuses);
+        this.searchQuery = state.query;
+        this.pagesShown = state.pages;
+        this.sortOrder = state.sort;
+
+        if (this.searchInput) this.searchInput.value = state.query;
+
+        const activeButton = this.filterButtons.find(btn => btn.getAttribute('data-filter') === state.category);
+        this.updateActiveButton(activeButton);
+        this.updateTagControls();
+        this.updateStatusControls();
+        this.updateSearchClearButton();
+        this.updateSortControl();
+
+        // Compare against the URL as loaded, so the next updateURL() writes back
+        // whatever the restore dropped or clamped (e.g. ?pages=999, unknown tags)
+        this.lastQueryString = window.location.search;
+    }
+
+    /**
+     * Serializes the current filter state, merged into any unrelated
+     * query parameters already on the page
+     * @returns {string} Query string including the leading '?', or ''
+     */
+    buildQueryString() {
+        const params = new URLSearchParams(window.location.search);
+        Object.values(URL_PARAMS).forEach(name => params.delete(name));
+
+        if (this.activeFilter !== ALL_CATEGORY.slug) params.set(URL_PARAMS.CATEGORY, this.activeFilter);
+        if (this.selectedTags.size) params.set(URL_PARAMS.TAGS, Array.from(this.selectedTags).join(','));
+        if (this.selectedTags.size > 1 && this.tagMatchMode === 'all') params.set(URL_PARAMS.MATCH, 'all');
+        if (!this.hasDefaultStatuses()) params.set(URL_PARAMS.STATUS, this.getIncludedStatuses().join(','));
+        if (this.searchQuery) params.set(URL_PARAMS.QUERY, this.searchQuery);
+        if (this.pagesShown > 1) params.set(URL_PARAMS.PAGES, String(this.pagesShown));
+        if (this.sortOrder !== DEFAULT_SORT) params.set(URL_PARAMS.SORT, this.sortOrder);
+
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    }
+
+    /**
+     * Writes the current filter state to the URL, keeping the section hash
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] - Replace the history entry instead of pushing one
+     */
+    updateURL({ replace = false } = {}) {
+        if (!window.history.pushState) return;
+
+        const queryString = this.buildQueryString();
+        if (queryString === this.lastQueryString) return;
+        this.lastQueryString = queryString;
+
+        const url = `${window.location.pathname}${queryString}${window.location.hash}`;
+        if (replace) {
+            window.history.replaceState(window.history.state, '', url);
+        } else {
+            window.history.pushState(window.history.state, '', url);
+        }
+    }
+
+    handlePopState() {
+        // Hash-only entries (e.g. project modal routes) leave the filter untouched
+        if (window.location.search === this.lastQueryString) return;
+
+        const state = this.readStateFromURL();
+        this.applyState(state);
+        this.performFilter(this.activeFilter);
+    }
+
+    /**
+     * Adds or removes a technology tag from the selection
+     * @param {string} tag - Lowercase technology name
+     */
+    toggleTag(tag) {
+        if (this.selectedTags.has(tag)) {
+            this.selectedTags.delete(tag);
+        } else {
+            this.selectedTags.add(tag);
+        }
+
+        this.pagesShown = 1;
+        this.updateTagControls();
+        this.updateURL();
+        this.debouncedPerformFilter(this.activeFilter);
+    }
+
+    /**
+     * @param {'any'|'all'} mode - Whether a project needs any or all selected tags
+     */
+    setTagMatchMode(mode) {
+        if (mode === this.tagMatchMode || (mode !== 'any' && mode !== 'all')) return;
+
+        this.tagMatchMode = mode;
+        this.updateTagControls();
+        this.updateURL();
+        if (this.selectedTags.size > 1) {
+            this.pagesShown = 1;
+            this.debouncedPerformFilter(this.activeFilter);
+        }
+    }
+
+    clearTags() {
+        if (!this.selectedTags.size) return;
+
+        this.selectedTags.clear();
+        this.pagesShown = 1;
+        this.updateTagControls();
+        this.updateURL();
+        this.performFilter(this.activeFilter);
+    }
+
+    /**
+     * Syncs chip, match-mode and clear button states with the selection
+     */
+    updateTagControls() {
+        this.tagContainer?.querySelectorAll('.tag-chip').forEach(chip => {
+            const isSelected = this.selectedTags.has(chip.getAttribute('data-tag'));
+            chip.classList.toggle('active', isSelected);
+            chip.setAttribute('aria-pressed', String(isSelected));
+        });
+
+        this.tagMatchButtons.forEach(button => {
+            const isActive = button.getAttribute('data-match') === this.tagMatchMode;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+
+        if (this.tagClearBtn) {
+            this.tagClearBtn.hidden = this.selectedTags.size === 0;
+        }
+    }
+
+    /**
+     * Checks a card's project technologies against the selected tags
+     * @param {HTMLElement} card
+     * @returns {boolean}
+     */
+    matchesTags(card) {
+        if (!this.selectedTags.size) return true;
+
+        const technologies = this.projectTechnologies.get(card.getAttribute('data-project-id'));
+        if (!technologies) return false;
+
+        const selected = Array.from(this.selectedTags);
+        return this.tagMatchMode === 'all'
+            ? selected.every(tag => technologies.has(tag))
+            : selected.some(tag => technologies.has(tag));
+    }
+
+    /**
+     * Statuses in use that are not hidden by default
+     * @returns {string[]}
+     */
+    getDefaultStatuses() {
+        const hidden = getDefaultHiddenStatuses();
+        return this.projectStatuses
+            .map(({ slug }) => slug)
+            .filter(slug => !hidden.includes(slug));
+    }
+
+    /**
+     * Included statuses in registry order (stable for the URL)
+     * @returns {string[]}
+     */
+    getIncludedStatuses() {
+        return this.projectStatuses
+            .map(({ slug }) => slug)
+            .filter(slug => this.includedStatuses.has(slug));
+    }
+
+    /**
+     * @returns {boolean} True if the included statuses equal the defaults
+     */
+    hasDefaultStatuses() {
+        return this.includedStatuses.size === this.defaultStatuses.length
+            && this.defaultStatuses.every(slug => this.includedStatuses.has(slug));
+    }
+
+    /**
+     * Includes or excludes the projects with a lifecycle status
+     * @param {string} status - Status slug
+     */
+    toggleStatus(status) {
+        if (this.includedStatuses.has(status)) {
+            this.includedStatuses.delete(status);
+        } else {
+            this.includedStatuses.add(status);
+        }
+
+        this.pagesShown = 1;
+        this.updateStatusControls();
+        this.updateURL();
+        this.debouncedPerformFilter(this.activeFilter);
+    }
+
+    updateStatusControls() {
+        this.statusContainer?.querySelectorAll('.status-chip').forEach(chip => {
+            const isIncluded = this.includedStatuses.has(chip.getAttribute('data-status'));
+            chip.classList.toggle('active', isIncluded);
+            chip.setAttribute('aria-pressed', String(isIncluded));
+        });
+    }
+
+    /**
+     * @param {HTMLElement} card
+     * @returns {boolean} True if the card's status is included
+     */
+    matchesStatus(card) {
+        return this.includedStatuses.has(getStatusBySlug(card.getAttribute('data-status')).slug);
+    }
+
+    /**
+     * Resets the search query and re-runs the active filter
+     */
+    clearSearch() {
+        if (this.searchInput) this.searchInput.value = '';
+        this.searchQuery = '';
+        this.pagesShown = 1;
+        this.updateSearchClearButton();
+        this.updateURL({ replace: true });
+        this.performFilter(this.activeFilter);
+    }
+
+    updateSearchClearButton() {
+        if (this.searchClearBtn) {
+            this.searchClearBtn.hidden = !this.searchQuery;
+        }
+    }
+
+    /**
+     * @param {string|null} value
+     * @returns {boolean} True if value is a supported sort order
+     */
+    isValidSort(value) {
+        return Object.prototype.hasOwnProperty.call(SORTERS, value);
+    }
+
+    /**
+     * Reads the last sort order the visitor picked
+     * @returns {string}
+     */
+    getStoredSort() {
+        try {
+            const stored = localStorage.getItem(PORTFOLIO.SORT_STORAGE_KEY);
+            return this.isValidSort(stored) ? stored : DEFAULT_SORT;
+        } catch {
+            return DEFAULT_SORT;
+        }
+    }
+
+    /**
+     * Changes the sort order, remembers it and re-runs the filter
+     * @param {string} order - Key of SORTERS
+     */
+    setSortOrder(order) {
+        if (!this.isValidSort(order) || order === this.sortOrder) return;
+
+        this.sortOrder = order;
+        this.pagesShown = 1;
+        this.updateSortControl();
+        this.updateURL();
+
+        try {
+            localStorage.setItem(PORTFOLIO.SORT_STORAGE_KEY, order);
+        } catch {
+            // Storage unavailable (private mode) - the URL still carries the sort
+        }
+
+        this.performFilter(this.activeFilter);
+    }
+
+    /**
+     * Syncs the sort <select> with the current order; the default option
+     * reads "Best match" while a search ranks the results
+     */
+    updateSortControl() {
+        if (!this.sortSelect) return;
+
+        this.sortSelect.value = this.sortOrder;
+        const featuredOption = this.sortSelect.querySelector(`option[value="${DEFAULT_SORT}"]`);
+        if (featuredOption) {
+            featuredOption.textContent = this.hasSearchTerms() ? 'Best match' : 'Featured';
+        }
+    }
+
+    /**
+     * Orders matching cards by the active sort (or search score for the
+     * default order while searching); ties keep their projects.js order
+     * @param {HTMLElement[]} cards - Matching cards in projects.js order
+     * @param {Map<string, number>|null} searchResults - Search scores
+     * @returns {HTMLElement[]} Sorted copy
+     */
+    sortCards(cards, searchResults) {
+        const id = card => card.getAttribute('data-project-id');
+        const sorter = SORTERS[this.sortOrder];
+
+        if (sorter) {
+            return [...cards].sort((a, b) => sorter(getProjectById(id(a)), getProjectById(id(b))));
+        }
+        if (searchResults) {
+            return [...cards].sort((a, b) => searchResults.get(id(b)) - searchResults.get(id(a)));
+        }
+        return [...cards];
     }
 
     setupInitialState() {
@@ -62,13 +705,8 @@ export class PortfolioFilter {
             card.style.backfaceVisibility = 'hidden';
         });
 
-        const allButton = document.querySelector('.project-categories .category-btn[data-filter="all"]');
-        if (allButton) {
-            this.updateActiveButton(allButton);
-        }
-        
-        // Initial check to set button state
-        this.performFilter('all');
+        // Initial filter uses the state restored from the URL
+        this.performFilter(this.activeFilter);
     }
 
     /**
@@ -100,7 +738,15 @@ export class PortfolioFilter {
         }, this.animationDuration);
     }
 
-    performFilter(filterValue) {
+    /**
+     * Runs the filter/sort/paging pass and animates the grid
+     * @param {string} filterValue - Active category slug
+     * @param {Object} [options]
+     * @param {number} [options.focusIndex] - Index (in the sorted matches) of the card to focus afterwards
+     * @param {boolean} [options.focusPager=false] - Focus "Show N more" afterwards (once it is unhidden)
+     * @param {boolean} [options.announce=false] - Announce the visible count to screen readers
+     */
+    performFilter(filterValue, { focusIndex, focusPager = false, announce = false } = {}) {
         if (this.animateFrame) {
             cancelAnimationFrame(this.animateFrame);
         }
@@ -108,30 +754,42 @@ export class PortfolioFilter {
         this.isAnimating = true;
 
         this.animateFrame = requestAnimationFrame(() => {
-            const matchingCards = [];
+            let matchingCards = [];
             const nonMatchingCards = [];
+            const searchResults = searchIndex(this.searchIndex, this.searchQuery);
 
-            // 1. Identify matching and non-matching
+            // 1. Identify matching and non-matching (category AND tags AND status AND search query)
             this.projectCards.forEach(card => {
                 const category = card.getAttribute('data-category');
-                const isMatch = filterValue === 'all' || category === filterValue;
-                if (isMatch) {
+                const matchesCategory = filterValue === 'all' || category === filterValue;
+                const matchesSearch = !searchResults || searchResults.has(card.getAttribute('data-project-id'));
+                if (matchesCategory && matchesSearch && this.matchesTags(card) && this.matchesStatus(card)) {
                     matchingCards.push(card);
                 } else {
                     nonMatchingCards.push(card);
                 }
             });
 
-            // 2. Determine which matching cards to show based on limit
-            const cardsToShow = [];
-            const cardsToHide = [...nonMatchingCards];
+            // Sort before paging, so later pages hold the tail of the sorted list
+            matchingCards = this.sortCards(matchingCards, searchResults);
+            const isReordered = searchResults || SORTERS[this.sortOrder];
 
-            if (this.isExpanded) {
-                cardsToShow.push(...matchingCards);
-            } else {
-                cardsToShow.push(...matchingCards.slice(0, this.visibleLimit));
-                cardsToHide.push(...matchingCards.slice(this.visibleLimit));
-            }
+            this.matchingProjectIds = matchingCards.map(card => card.getAttribute('data-project-id'));
+            this.onChange?.(this.getMatchingProjectIds(), filterValue);
+            this.updateSortControl();
+            this.reorderCards(isReordered ? [...matchingCards, ...nonMatchingCards] : this.cardOrder);
+            this.highlightMatches();
+            this.updateSearchStatus(matchingCards.length, filterValue);
+            this.updateResultCount(matchingCards.length);
+
+            // 2. Determine which matching cards fall on the pages shown
+            const totalPages = Math.max(1, Math.ceil(matchingCards.length / this.pageSize));
+            this.pagesShown = Math.min(this.pagesShown, totalPages);
+            this.updateURL({ replace: true }); // No-op unless restoring or clamping changed the state
+            const visibleCount = Math.min(matchingCards.length, this.pagesShown * this.pageSize);
+
+            const cardsToShow = matchingCards.slice(0, visibleCount);
+            const cardsToHide = [...nonMatchingCards, ...matchingCards.slice(visibleCount)];
 
             // 3. Apply animations
             cardsToShow.forEach(card => {
@@ -158,13 +816,17 @@ export class PortfolioFilter {
                 card.style.pointerEvents = 'none';
             });
 
-            // 4. Handle View More Button Visibility
-            if (this.viewMoreBtn) {
-                if (matchingCards.length > this.visibleLimit && !this.isExpanded) {
-                    this.viewMoreBtn.style.display = 'inline-flex';
-                } else {
-                    this.viewMoreBtn.style.display = 'none';
-                }
+            // 4. Update "Show N more" / "Show less"
+            this.updatePager(visibleCount, matchingCards.length);
+            if (announce) this.announceVisible(visibleCount, matchingCards.length);
+
+            // Move focus to the first newly shown card so keyboard users continue from there
+            const focusCard = focusIndex === undefined ? null : cardsToShow[focusIndex];
+            focusCard?.querySelector('.project-link')?.focus();
+
+            // After "Show less" the focused button is hidden; continue from "Show N more"
+            if (focusPager && this.viewMoreBtn && !this.viewMoreBtn.hidden) {
+                this.viewMoreBtn.focus();
             }
 
             // Cleanup hidden cards after animation
@@ -177,7 +839,218 @@ export class PortfolioFilter {
         });
     }
 
+    /**
+     * Picks the page size for the current viewport from the configured breakpoints
+     * @returns {number}
+     */
+    getPageSize() {
+        const match = this.pageQueries.find(({ query }) => query?.matches);
+        return match ? match.size : PORTFOLIO.VISIBLE_LIMIT;
+    }
+
+    /**
+     * Re-pages the grid when the viewport crosses a page-size breakpoint
+     */
+    handleBreakpointChange() {
+        const pageSize = this.getPageSize();
+        if (pageSize === this.pageSize) return;
+
+        this.pageSize = pageSize;
+        this.performFilter(this.activeFilter);
+    }
+
+    /**
+     * Reveals the next page and focuses its first card
+     */
+    showMore() {
+        const firstNewIndex = this.pagesShown * this.pageSize;
+
+        this.pagesShown += 1;
+        this.updateURL();
+        this.performFilter(this.activeFilter, { focusIndex: firstNewIndex, announce: true });
+    }
+
+    /**
+     * Collapses back to the first page
+     */
+    showLess() {
+        this.pagesShown = 1;
+        this.updateURL();
+        // The collapse button disappears, so focus moves to "Show N more" once it is shown
+        this.performFilter(this.activeFilter, { focusPager: true, announce: true });
+    }
+
+    /**
+     * Shows, hides and labels the paging buttons
+     * @param {number} visibleCount - Matching cards currently shown
+     * @param {number} matchCount - All matching cards
+     */
+    updatePager(visibleCount, matchCount) {
+        const remaining = matchCount - visibleCount;
+        const nextCount = Math.min(this.pageSize, remaining);
+
+        if (this.viewMoreBtn) {
+            this.viewMoreBtn.hidden = remaining <= 0;
+        }
+
+        if (this.viewMoreBtn && remaining > 0) {
+            const countEl = this.viewMoreBtn.querySelector('.pager-count');
+            const remainingEl = this.viewMoreBtn.querySelector('.pager-remaining');
+            if (countEl) countEl.textContent = nextCount;
+            if (remainingEl) remainingEl.textContent = `(${remaining} left)`;
+            this.viewMoreBtn.setAttribute('aria-label',
+                `Show ${nextCount} more ${nextCount === 1 ? 'project' : 'projects'} (${remaining} left)`);
+        }
+
+        if (this.showLessBtn) {
+            this.showLessBtn.hidden = visibleCount <= this.pageSize;
+        }
+    }
+
+    /**
+     * Announces the visible count after a paging action
+     * @param {number} visibleCount
+     * @param {number} matchCount
+     */
+    announceVisible(visibleCount, matchCount) {
+        if (!this.pagerStatus) return;
+
+        this.pagerStatus.textContent = `Now showing ${visibleCount} of ${matchCount} ${matchCount === 1 ? 'project' : 'projects'}`;
+    }
+
+    /**
+     * Returns the projects matching the current filter in display order
+     * Used by ProjectModal for previous/next navigation
+     * @returns {string[]} Project ids
+     */
+    getMatchingProjectIds() {
+        return [...this.matchingProjectIds];
+    }
+
+    /**
+     * Moves cards into the given order so ranking is reflected in both
+     * the visual layout and the keyboard tab order
+     * Visible cards slide from their old slot to the new one (FLIP)
+     * @param {HTMLElement[]} orderedCards
+     */
+    reorderCards(orderedCards) {
+        const container = this.cardOrder[0]?.parentElement;
+        if (!container) return;
+
+        const current = Array.from(container.children);
+        const isSameOrder = orderedCards.every((card, index) => current[index] === card);
+        if (isSameOrder) return;
+
+        const animate = !prefersReducedMotion();
+        const visibleCards = animate ? orderedCards.filter(card => card.style.display !== 'none') : [];
+        const firstRects = new Map(visibleCards.map(card => [card, card.getBoundingClientRect()]));
+
+        container.append(...orderedCards);
+
+        // Invert: jump each card back to where it was, then let the filter pass
+        // set transform to zero so it transitions into its new slot
+        visibleCards.forEach(card => {
+            const first = firstRects.get(card);
+            const last = card.getBoundingClientRect();
+            const deltaX = first.left - last.left;
+            const deltaY = first.top - last.top;
+            if (!deltaX && !deltaY) return;
+
+            const transition = card.style.transition;
+            card.style.transition = 'none';
+            card.style.transform = `translate3d(${deltaX}px, ${deltaY}px, 0)`;
+            void card.offsetWidth;
+            card.style.transition = transition;
+        });
+    }
+
+    /**
+     * Wraps the current search terms in <mark> elements on every card
+     * Text is rebuilt from the original card text, never parsed as HTML
+     */
+    highlightMatches() {
+        const terms = tokenize(this.searchQuery).sort((a, b) => b.length - a.length);
+        const pattern = terms.length ? new RegExp(terms.map(escapeRegExp).join('|'), 'gi') : null;
+
+        this.projectCards.forEach(card => {
+            card.querySelectorAll('.project-title, .project-description, .project-tech')
+                .forEach(element => this.highlightElement(element, pattern));
+        });
+    }
+
+    /**
+     * @param {HTMLElement} element - Text element to highlight
+     * @param {RegExp|null} pattern - Global pattern of terms, or null to clear
+     */
+    highlightElement(element, pattern) {
+        if (!this.originalText.has(element)) {
+            this.originalText.set(element, element.textContent);
+        }
+        const text = this.originalText.get(element);
+
+        if (!pattern) {
+            if (element.childElementCount) element.textContent = text;
+            return;
+        }
+
+        const fragment = document.createDocumentFragment();
+        let lastIndex = 0;
+
+        for (const match of text.matchAll(pattern)) {
+            fragment.append(text.slice(lastIndex, match.index));
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = match[0];
+            fragment.append(mark);
+            lastIndex = match.index + match[0].length;
+        }
+
+        fragment.append(text.slice(lastIndex));
+        element.replaceChildren(fragment);
+    }
+
+    /**
+     * Whether the query contains anything to search for
+     * (punctuation-only input such as "-" leaves the grid unfiltered)
+     * @returns {boolean}
+     */
+    hasSearchTerms() {
+        return tokenize(this.searchQuery).length > 0;
+    }
+
+    /**
+     * Announces how many projects match the current query
+     * @param {number} count - Number of matching projects
+     * @param {string} filterValue - Active category slug
+     */
+    updateSearchStatus(count, filterValue) {
+        if (!this.searchStatus) return;
+
+        if (!this.hasSearchTerms()) {
+            this.searchStatus.textContent = '';
+            return;
+        }
+
+        const scope = filterValue === ALL_CATEGORY.slug ? '' : ` in ${getCategoryBySlug(filterValue).label}`;
+        this.searchStatus.textContent = count === 0
+            ? `No projects match “${this.searchQuery}”${scope}.`
+            : `${count} ${count === 1 ? 'project matches' : 'projects match'} “${this.searchQuery}”${scope}`;
+    }
+
+    /**
+     * Shows the live "N of M projects" count
+     * @param {number} count - Number of matching projects
+     */
+    updateResultCount(count) {
+        if (!this.resultCount) return;
+
+        const total = this.projectCards.length;
+        this.resultCount.textContent = `Showing ${count} of ${total} ${total === 1 ? 'project' : 'projects'}`;
+    }
+
     cleanup() {
+        window.removeEventListener('popstate', this.boundHandlePopState);
+        this.pageQueries.forEach(({ query }) => query?.removeEventListener?.('change', this.boundHandleBreakpoint));
         if (this.animateFrame) {
             cancelAnimationFrame(this.animateFrame);
         }
@@ -0,0 +1,227 @@
+/**
+ * ============================================================================
+ * PORTFOLIO TIMELINE MODULE - PortfolioTimeline.js
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Alternative chronological view of the portfolio. Projects are placed on a
+ * vertical timeline grouped by completion month, using the real dates the
+ * data layer derives from each project's `date` and `duration`.
+ *
+ * FEATURES:
+ * - Grid / Timeline toggle in #portfolio (aria-pressed buttons)
+ * - Shows only the projects matching the active PortfolioFilter state
+ * - Timeline cards open ProjectModal (delegated click on [data-project])
+ * - Chosen view is remembered in localStorage
+ *
+ * DEPENDENCIES:
+ * - ../data/projects.js - Project data source
+ * - ../data/dates.js - Date parsing and month grouping
+ * - ../data/categories.js - Category labels and icons
+ * - ../config/constants.js - Storage key
+ *
+ * USAGE:
+ * const timeline = new PortfolioTimeline();
+ * timeline.init();
+ * timeline.render(filter.getMatchingProjectIds());
+ *
+ * ============================================================================
+ */
+
+import { getAllProjects, getProjectById } from '../data/projects.js';
+import { getProjectDates, groupProjectsByMonth } from '../data/dates.js';
+import { getCategoryBySlug } from '../data/categories.js';
+import { PORTFOLIO } from '../config/constants.js';
+import { html, setHTML } from '../utils/dom.js';
+
+/** @type {string[]} Supported portfolio views */
+const VIEWS = ['grid', 'timeline'];
+
+export class PortfolioTimeline {
+    constructor() {
+        /** @type {HTMLElement|null} Portfolio section (carries data-view) */
+        this.section = document.getElementById('portfolio');
+
+        /** @type {HTMLElement|null} Timeline container */
+        this.container = document.getElementById('projectTimeline');
+
+        /** @type {HTMLButtonElement[]} Grid/Timeline toggle buttons */
+        this.toggleButtons = Array.from(document.querySelectorAll('.view-toggle-btn[data-view]'));
+
+        /** @type {'grid'|'timeline'} Active view */
+        this.view = 'grid';
+
+        /** @type {string[]|null} Project ids to show (null = all projects) */
+        this.projectIds = null;
+
+        /** @type {string[]} Ids in the order they appear on the timeline */
+        this.renderedIds = [];
+    }
+
+    /**
+     * Initializes the toggle and restores the remembered view
+     */
+    init() {
+        if (!this.section || !this.container) return;
+
+        this.toggleButtons.forEach(button => {
+            button.addEventListener('click', () => this.setView(button.getAttribute('data-view')));
+        });
+
+        this.setView(this.getStoredView(), { persist: false });
+    }
+
+    /**
+     * Reads the remembered view
+     * @returns {'grid'|'timeline'}
+     */
+    getStoredView() {
+        try {
+            const stored = localStorage.getItem(PORTFOLIO.VIEW_STORAGE_KEY);
+            return VIEWS.includes(stored) ? stored : 'grid';
+        } catch {
+            return 'grid';
+        }
+    }
+
+    /**
+     * Switches between the card grid and the timeline
+     * @param {'grid'|'timeline'} view
+     * @param {Object} [options]
+     * @param {boolean} [options.persist=true] - Remember the choice in localStorage
+     */
+    setView(view, { persist = true } = {}) {
+        if (!VIEWS.includes(view)) return;
+
+        this.view = view;
+        this.section.setAttribute('data-view', view);
+        this.container.hidden = view !== 'timeline';
+
+        this.toggleButtons.forEach(button => {
+            const isActive = button.getAttribute('data-view') === view;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+
+        if (view === 'timeline') this.render(this.projectIds);
+
+        if (persist) {
+            try {
+                localStorage.setItem(PORTFOLIO.VIEW_STORAGE_KEY, view);
+            } catch {
+                // Storage unavailable (private mode) - the view still switches
+            }
+        }
+    }
+
+    /**
+     * @returns {boolean} True while the timeline view is shown
+     */
+    isActive() {
+        return this.view === 'timeline';
+    }
+
+    /**
+     * Returns project ids in timeline order (used for modal previous/next)
+     * @returns {string[]}
+     */
+    getProjectOrder() {
+        return [...this.renderedIds];
+    }
+
+    /**
+     * Renders the timeline for the given projects
+     * Only rebuilds the DOM while the timeline is visible; the ids are kept
+     * so switching views later shows the current filter result
+     *
+     * @param {string[]|null} [projectIds=null] - Matching project ids (null = all)
+     */
+    render(projectIds = null) {
+        this.projectIds = projectIds;
+        if (!this.container || !this.isActive()) return;
+
+        const projects = projectIds
+            ? projectIds.map(id => getProjectById(id)).filter(Boolean)
+            : getAllProjects();
+        const groups = groupProjectsByMonth(projects);
+        this.renderedIds = groups.flatMap(group => group.projects.map(project => project.id));
+
+        if (!groups.length) {
+            setHTML(this.container, html`<p class="timeline-empty">No projects match the current filters.</p>`);
+            return;
+        }
+
+        setHTML(this.container, html`
+            <ol class="timeline-groups">
+                ${groups.map(group => html`
+                    <li class="timeline-group">
+                        <h3 class="timeline-group__label">
+                            ${group.date
+                                ? html`<time datetime="${group.key}">${group.label}</time>`
+                                : group.label}
+                        </h3>
+                        <ol class="timeline-items">
+                            ${group.projects.map(project => this.createItem(project))}
+                        </ol>
+                    </li>
+                `)}
+            </ol>
+        `);
+    }
+
+    /**
+     * Builds the markup for one timeline entry
+     * @param {Project} project
+     * @returns {SafeHTML}
+     */
+    createItem(project) {
+        const category = getCategoryBySlug(project.category);
+
+        return html`
+            <li class="timeline-item" data-category="${project.category}">
+                <span class="timeline-item__marker" aria-hidden="true"></span>
+                <button type="button" class="timeline-card" data-project="${project.id}"
+                    aria-label="View more about ${project.title}">
+                    <span class="timeline-card__category"><i class="${category.icon}" aria-hidden="true"></i> ${category.label}</span>
+                    <span class="timeline-card__title">${project.title}</span>
+                    <span class="timeline-card__meta">
+                        <i class="far fa-clock" aria-hidden="true"></i> ${this.formatSpan(project)}
+                    </span>
+                    <span class="timeline-card__description">${project.description}</span>
+                </button>
+            </li>
+        `;
+    }
+
+    /**
+     * Formats the estimated working period, e.g. "Aug – Sep 2025 · 6 weeks"
+     * @param {Project} project
+     * @returns {string}
+     */
+    formatSpan(project) {
+        const dates = getProjectDates(project);
+        if (!dates?.started) return project.duration;
+
+        const month = date => date.toLocaleDateString('en-US', { month: 'short' });
+        const { started, completed } = dates;
+
+        let range;
+        if (started.getFullYear() !== completed.getFullYear()) {
+            range = `${month(started)} ${started.getFullYear()} – ${month(completed)} ${completed.getFullYear()}`;
+        } else if (started.getMonth() !== completed.getMonth()) {
+            range = `${month(started)} – ${month(completed)} ${completed.getFullYear()}`;
+        } else {
+            range = `${month(completed)} ${completed.getFullYear()}`;
+        }
+
+        return `${range} · ${project.duration}`;
+    }
+
+    /**
+     * Cleanup method
+     */
+    cleanup() {
+        this.section?.removeAttribute('data-view');
+        this.renderedIds = [];
+    }
+}
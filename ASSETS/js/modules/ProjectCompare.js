@@ -0,0 +1,448 @@
+/**
+ * ============================================================================
+ * PROJECT COMPARE MODULE - ProjectCompare.js
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Lets visitors tick "Compare" on two or three project cards and view them
+ * side by side in a dialog, instead of opening each project's modal in turn.
+ *
+ * FEATURES:
+ * - Compare checkbox on every card (delegated change listener on the grid)
+ * - Floating tray with the selection, a Compare button and Clear
+ * - Further checkboxes are disabled once the maximum is selected
+ * - Dialog rows: technologies (shared ones highlighted), features,
+ *   duration, date and links (placeholder links are left out)
+ * - Same scroll lock as ProjectModal; focus is trapped in the dialog and
+ *   returned to the Compare button on close (Escape, close button, backdrop)
+ *
+ * DEPENDENCIES:
+ * - ../data/projects.js - Project data source
+ * - ../data/categories.js - Category labels and icons
+ * - ../data/dates.js - Machine-readable completion month
+ * - ../data/validation.js - Placeholder link detection
+ * - ../config/constants.js - Selection limits and key constants
+ * - ../utils/dom.js - Escape-by-default markup templates
+ * - ../utils/modal.js - Scroll lock and focus trap
+ * - ../utils/markdown.js - Inline Markdown in features
+ *
+ * USAGE:
+ * const compare = new ProjectCompare();
+ * compare.init();
+ *
+ * ============================================================================
+ */
+
+import { getProjectById } from '../data/projects.js';
+import { getCategoryBySlug } from '../data/categories.js';
+import { getProjectDates } from '../data/dates.js';
+import { isPlaceholderUrl } from '../data/validation.js';
+import { PORTFOLIO, KEYS } from '../config/constants.js';
+import { html, setHTML } from '../utils/dom.js';
+import { lockScroll, unlockScroll, trapFocus } from '../utils/modal.js';
+import { renderInlineMarkdown } from '../utils/markdown.js';
+
+export class ProjectCompare {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {string} [options.gridSelector='#projectGrid'] - Container of the project cards
+     * @param {number} [options.min=PORTFOLIO.COMPARE_MIN] - Projects needed to compare
+     * @param {number} [options.max=PORTFOLIO.COMPARE_MAX] - Most projects compared at once
+     */
+    constructor(options = {}) {
+        /** @type {HTMLElement|null} Grid holding the compare checkboxes */
+        this.grid = document.querySelector(options.gridSelector || '#projectGrid');
+
+        /** @type {number} */
+        this.min = options.min ?? PORTFOLIO.COMPARE_MIN;
+
+        /** @type {number} */
+        this.max = options.max ?? PORTFOLIO.COMPARE_MAX;
+
+        /** @type {string[]} Selected project ids in the order they were picked */
+        this.selectedIds = [];
+
+        /** @type {HTMLElement|null} Floating selection tray */
+        this.tray = null;
+
+        /** @type {HTMLElement|null} Dialog backdrop (created on first open) */
+        this.overlay = null;
+
+        /** @type {HTMLElement|null} Dialog element */
+        this.dialog = null;
+
+        /** @type {boolean} Tracks if the dialog is open */
+        this.isOpen = false;
+
+        /** @type {HTMLElement|null} Element focused before the dialog opened */
+        this.returnFocus = null;
+
+        /** @type {Function} Bound keydown handler for cleanup */
+        this.boundHandleKeydown = (e) => this.handleKeydown(e);
+
+        /** @type {Function} Bound checkbox handler for cleanup */
+        this.boundHandleChange = (e) => this.handleChange(e);
+    }
+
+    /**
+     * Initializes the checkbox listener and the selection tray
+     */
+    init() {
+        if (!this.grid) return;
+
+        this.createTray();
+        this.grid.addEventListener('change', this.boundHandleChange);
+        document.addEventListener('keydown', this.boundHandleKeydown);
+        this.updateControls();
+    }
+
+    /**
+     * Builds the tray shown while at least one project is selected
+     */
+    createTray() {
+        this.tray = document.createElement('div');
+        this.tray.className = 'compare-tray';
+        this.tray.setAttribute('role', 'region');
+        this.tray.setAttribute('aria-label', 'Project comparison');
+        this.tray.hidden = true;
+
+        setHTML(this.tray, html`
+            <p class="compare-tray__status" id="compareTrayStatus" aria-live="polite"></p>
+            <ul class="compare-tray__list" id="compareTrayList"></ul>
+            <div class="compare-tray__actions">
+                <button type="button" class="btn btn-primary compare-tray__open" id="compareOpenBtn">
+                    <i class="fas fa-columns" aria-hidden="true"></i> Compare
+                </button>
+                <button type="button" class="compare-tray__clear" id="compareClearBtn">Clear</button>
+            </div>
+        `);
+
+        this.tray.querySelector('#compareOpenBtn').addEventListener('click', () => this.open());
+        this.tray.querySelector('#compareClearBtn').addEventListener('click', () => this.clear());
+        this.tray.querySelector('#compareTrayList').addEventListener('click', (e) => {
+            const button = e.target.closest('.compare-tray__remove');
+            if (!button) return;
+
+            const projectId = button.dataset.projectId;
+            this.toggle(projectId, false);
+            // The removed item's button is gone - keep focus nearby
+            if (this.tray.hidden) {
+                this.focusCheckbox([projectId]);
+            } else {
+                this.tray.querySelector('#compareClearBtn').focus();
+            }
+        });
+
+        document.body.appendChild(this.tray);
+    }
+
+    /**
+     * @param {Event} e - Change event bubbling from a card checkbox
+     */
+    handleChange(e) {
+        const input = e.target.closest('.project-compare__input');
+        if (input) this.toggle(input.dataset.projectId, input.checked);
+    }
+
+    /**
+     * Adds or removes a project from the comparison
+     * @param {string} projectId
+     * @param {boolean} selected
+     */
+    toggle(projectId, selected) {
+        const index = this.selectedIds.indexOf(projectId);
+
+        if (selected && index === -1 && this.selectedIds.length < this.max && getProjectById(projectId)) {
+            this.selectedIds.push(projectId);
+        } else if (!selected && index !== -1) {
+            this.selectedIds.splice(index, 1);
+        }
+
+        this.updateControls();
+    }
+
+    /**
+     * Empties the selection
+     */
+    clear() {
+        const clearedIds = this.selectedIds;
+        this.selectedIds = [];
+        this.updateControls();
+        this.focusCheckbox(clearedIds);
+    }
+
+    /**
+     * Moves focus to the first visible card checkbox of the given projects
+     * (used when the tray disappears from under the focused button)
+     * @param {string[]} projectIds
+     */
+    focusCheckbox(projectIds) {
+        const inputs = Array.from(this.grid.querySelectorAll('.project-compare__input'));
+        const input = projectIds
+            .map(id => inputs.find(element => element.dataset.projectId === id))
+            .find(element => element && element.offsetParent !== null);
+        input?.focus();
+    }
+
+    /**
+     * Syncs the card checkboxes and the tray with the selection
+     */
+    updateControls() {
+        const isFull = this.selectedIds.length >= this.max;
+
+        this.grid.querySelectorAll('.project-compare__input').forEach(input => {
+            const isSelected = this.selectedIds.includes(input.dataset.projectId);
+            input.checked = isSelected;
+            input.disabled = isFull && !isSelected;
+            input.closest('.project-compare')?.classList.toggle('is-disabled', input.disabled);
+        });
+
+        if (!this.tray) return;
+
+        const count = this.selectedIds.length;
+        this.tray.hidden = count === 0;
+
+        this.tray.querySelector('#compareTrayStatus').textContent = count < this.min
+            ? `${count} selected - pick ${this.min - count} more to compare`
+            : `${count} of ${this.max} selected`;
+
+        setHTML(this.tray.querySelector('#compareTrayList'), html`
+            ${this.selectedIds.map(id => getProjectById(id)).filter(Boolean).map(project => html`
+                <li class="compare-tray__item">
+                    <span>${project.title}</span>
+                    <button type="button" class="compare-tray__remove" data-project-id="${project.id}"
+                        aria-label="Remove ${project.title} from comparison">
+                        <i class="fas fa-times" aria-hidden="true"></i>
+                    </button>
+                </li>
+            `)}
+        `);
+
+        this.tray.querySelector('#compareOpenBtn').disabled = count < this.min;
+    }
+
+    /**
+     * Creates the dialog structure and appends it to the body
+     */
+    createDialogStructure() {
+        if (this.overlay) return;
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'compare-overlay';
+        this.overlay.id = 'compareOverlay';
+
+        setHTML(this.overlay, html`
+            <div class="compare-dialog" id="compareDialog" role="dialog" aria-modal="true"
+                aria-labelledby="compareTitle" tabindex="-1">
+                <div class="compare-dialog__header">
+                    <h2 class="compare-dialog__title" id="compareTitle">Compare projects</h2>
+                    <button type="button" class="modal-close-btn compare-dialog__close" id="compareCloseBtn"
+                        aria-label="Close comparison">
+                        <i class="fas fa-times" aria-hidden="true"></i>
+                    </button>
+                </div>
+                <div class="compare-dialog__body" id="compareBody"></div>
+            </div>
+        `);
+
+        document.body.appendChild(this.overlay);
+        this.dialog = this.overlay.querySelector('#compareDialog');
+
+        this.overlay.querySelector('#compareCloseBtn').addEventListener('click', () => this.close());
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+    }
+
+    /**
+     * Opens the comparison for the selected projects
+     */
+    open() {
+        if (this.isOpen || this.selectedIds.length < this.min) return;
+
+        this.createDialogStructure();
+        this.render();
+
+        this.returnFocus = document.activeElement;
+        lockScroll();
+
+        requestAnimationFrame(() => {
+            this.overlay.classList.add('active');
+        });
+
+        this.isOpen = true;
+
+        // Focus the dialog once the fade-in has started
+        setTimeout(() => {
+            this.dialog?.focus();
+        }, 50);
+    }
+
+    /**
+     * Closes the dialog and returns focus to where it was
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        unlockScroll();
+
+        requestAnimationFrame(() => {
+            this.overlay.classList.remove('active');
+        });
+
+        this.isOpen = false;
+        this.returnFocus?.focus?.();
+        this.returnFocus = null;
+    }
+
+    /**
+     * Escape closes the dialog; Tab stays inside it
+     * @param {KeyboardEvent} e
+     */
+    handleKeydown(e) {
+        if (!this.isOpen) return;
+
+        if (e.key === KEYS.ESCAPE) {
+            this.close();
+        } else {
+            trapFocus(this.dialog, e);
+        }
+    }
+
+    /**
+     * Builds the comparison table for the selected projects
+     */
+    render() {
+        const projects = this.selectedIds.map(id => getProjectById(id)).filter(Boolean);
+        const shared = this.getSharedTechnologies(projects);
+
+        setHTML(this.overlay.querySelector('#compareBody'), html`
+            <p class="compare-legend">
+                <span class="compare-tech compare-tech--shared">Highlighted</span>
+                technologies are used by more than one of these projects.
+            </p>
+            <div class="compare-table-wrapper">
+                <table class="compare-table">
+                    <caption class="sr-only">${projects.map(project => project.title).join(' compared with ')}</caption>
+                    <thead>
+                        <tr>
+                            <td></td>
+                            ${projects.map(project => this.createHeaderCell(project))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <th scope="row">Technologies</th>
+                            ${projects.map(project => html`
+                                <td>
+                                    <ul class="compare-techs">
+                                        ${project.technologies.map(tech => shared.has(tech.toLowerCase())
+                                            ? html`<li class="compare-tech compare-tech--shared">${tech}<span class="sr-only"> (shared)</span></li>`
+                                            : html`<li class="compare-tech">${tech}</li>`)}
+                                    </ul>
+                                </td>
+                            `)}
+                        </tr>
+                        <tr>
+                            <th scope="row">Features</th>
+                            ${projects.map(project => html`
+                                <td>
+                                    <ul class="compare-features">
+                                        ${project.features.map(feature => html`<li>${renderInlineMarkdown(feature)}</li>`)}
+                                    </ul>
+                                </td>
+                            `)}
+                        </tr>
+                        <tr>
+                            <th scope="row">Duration</th>
+                            ${projects.map(project => html`<td>${project.duration}</td>`)}
+                        </tr>
+                        <tr>
+                            <th scope="row">Date</th>
+                            ${projects.map(project => {
+                                const dates = getProjectDates(project);
+                                return html`<td>${dates
+                                    ? html`<time datetime="${dates.monthKey}">${project.date}</time>`
+                                    : project.date}</td>`;
+                            })}
+                        </tr>
+                        <tr>
+                            <th scope="row">Links</th>
+                            ${projects.map(project => this.createLinksCell(project))}
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+        `);
+    }
+
+    /**
+     * @param {Project} project
+     * @returns {SafeHTML} Column header with category and title
+     */
+    createHeaderCell(project) {
+        const category = getCategoryBySlug(project.category);
+
+        return html`
+            <th scope="col">
+                <span class="compare-table__category"><i class="${category.icon}" aria-hidden="true"></i> ${category.label}</span>
+                <span class="compare-table__title">${project.title}</span>
+            </th>
+        `;
+    }
+
+    /**
+     * @param {Project} project
+     * @returns {SafeHTML} Live demo / source links, or a note when neither is available
+     */
+    createLinksCell(project) {
+        const links = [
+            { url: project.liveUrl, label: 'Live Demo', icon: 'fas fa-external-link-alt' },
+            { url: project.githubUrl, label: 'Source Code', icon: 'fab fa-github' }
+        ].filter(link => !isPlaceholderUrl(link.url));
+
+        if (!links.length) {
+            return html`<td><span class="compare-muted">Not available</span></td>`;
+        }
+
+        return html`
+            <td>
+                <div class="compare-links">
+                    ${links.map(link => html`
+                        <a href="${link.url}" class="compare-link" target="_blank" rel="noopener noreferrer">
+                            <i class="${link.icon}" aria-hidden="true"></i> ${link.label}
+                        </a>
+                    `)}
+                </div>
+            </td>
+        `;
+    }
+
+    /**
+     * Lowercase technologies used by at least two of the projects
+     * @param {Project[]} projects
+     * @returns {Set<string>}
+     */
+    getSharedTechnologies(projects) {
+        const counts = new Map();
+        projects.forEach(project => {
+            new Set(project.technologies.map(tech => tech.toLowerCase())).forEach(tech => {
+                counts.set(tech, (counts.get(tech) || 0) + 1);
+            });
+        });
+
+        return new Set(Array.from(counts).filter(([, count]) => count > 1).map(([tech]) => tech));
+    }
+
+    /**
+     * Cleanup method
+     */
+    cleanup() {
+        if (this.isOpen) unlockScroll();
+        this.grid?.removeEventListener('change', this.boundHandleChange);
+        document.removeEventListener('keydown', this.boundHandleKeydown);
+        this.tray?.remove();
+        this.overlay?.remove();
+        this.isOpen = false;
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * ============================================================================
+ * PROJECT GRID MODULE - ProjectGrid.js
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Renders the portfolio project cards from the active project data
+ * (projects.json once loaded, otherwise the bundled PROJECTS module).
+ * Adding a project only requires a new entry in ASSETS/data/projects.json -
+ * the card markup in #portfolio is generated at startup.
+ *
+ * FEATURES:
+ * - Builds every .project-card from getAllProjects()
+ * - Eager loading for the first card, native lazy loading for the rest
+ * - "Compare" checkbox per card for ProjectCompare
+ * - Emits the same markup PortfolioFilter, ProjectModal, SectionAnimator
+ *   and the image loading states in main.js already expect
+ *
+ * DEPENDENCIES:
+ * - ../data/projects.js - Project data source
+ * - ../data/categories.js - Category labels and icons
+ * - ../data/statuses.js - Lifecycle status badges
+ *
+ * USAGE:
+ * const grid = new ProjectGrid();
+ * grid.init();
+ *
+ * ============================================================================
+ */
+
+import { getAllProjects } from '../data/projects.js';
+import { getCategoryBySlug } from '../data/categories.js';
+import { getStatusBySlug } from '../data/statuses.js';
+
+export class ProjectGrid {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {string} [options.selector='#projectGrid'] - CSS selector for the grid container
+     * @param {number} [options.maxTechTags=4] - Maximum technology tags shown on a card
+     * @param {number} [options.eagerCount=1] - Number of leading cards whose images load eagerly
+     */
+    constructor(options = {}) {
+        /** @type {HTMLElement|null} Grid container the cards are rendered into */
+        this.container = document.querySelector(options.selector || '#projectGrid');
+
+        /** @type {number} Maximum technology tags shown per card */
+        this.maxTechTags = options.maxTechTags ?? 4;
+
+        /** @type {number} Leading cards rendered with loading="eager" */
+        this.eagerCount = options.eagerCount ?? 1;
+
+        /** @type {HTMLElement[]} Rendered card elements */
+        this.cards = [];
+    }
+
+    /**
+     * Initializes the grid by rendering all projects
+     */
+    init() {
+        if (!this.container) return;
+        this.render();
+    }
+
+    /**
+     * Renders the given projects into the grid, replacing existing cards
+     *
+     * @param {Project[]} [projects=getAllProjects()] - Projects to render
+     * @returns {HTMLElement[]} The rendered card elements
+     */
+    render(projects = getAllProjects()) {
+        if (!this.container) return [];
+
+        const fragment = document.createDocumentFragment();
+        this.cards = projects.map((project, index) => this.createCard(project, index));
+        this.cards.forEach(card => fragment.appendChild(card));
+
+        this.container.replaceChildren(fragment);
+        this.container.removeAttribute('aria-busy');
+        return this.cards;
+    }
+
+    /**
+     * Builds a single project card element
+     *
+     * @param {Project} project - Project data
+     * @param {number} index - Position of the card in the grid
+     * @returns {HTMLElement} The card element
+     */
+    createCard(project, index) {
+        const card = document.createElement('div');
+        card.className = 'project-card';
+        card.setAttribute('data-category', project.category);
+        card.setAttribute('data-project-id', project.id);
+
+        const statusInfo = getStatusBySlug(project.status);
+        card.setAttribute('data-status', statusInfo.slug);
+
+        // Category badge
+        const categoryInfo = getCategoryBySlug(project.category);
+        const category = document.createElement('div');
+        category.className = 'project-category';
+        const categoryIcon = document.createElement('i');
+        categoryIcon.className = categoryInfo.icon;
+        category.append(categoryIcon, ` ${categoryInfo.label}`);
+
+        // Status badge
+        const status = document.createElement('div');
+        status.className = `project-status project-status--${statusInfo.slug}`;
+        const statusIcon = document.createElement('i');
+        statusIcon.className = statusInfo.icon;
+        statusIcon.setAttribute('aria-hidden', 'true');
+        status.append(statusIcon, ` ${statusInfo.label}`);
+
+        // Thumbnail
+        const imgContainer = document.createElement('div');
+        imgContainer.className = 'project-img-container';
+        const img = document.createElement('img');
+        img.src = project.image;
+        img.alt = project.title;
+        img.className = 'project-img';
+        img.loading = index < this.eagerCount ? 'eager' : 'lazy';
+        imgContainer.appendChild(img);
+
+        // Content
+        const content = document.createElement('div');
+        content.className = 'project-content';
+
+        const title = document.createElement('h3');
+        title.className = 'project-title';
+        title.textContent = project.title;
+
+        const description = document.createElement('p');
+        description.className = 'project-description';
+        description.textContent = project.description;
+
+        const technologies = document.createElement('div');
+        technologies.className = 'project-technologies';
+        project.technologies.slice(0, this.maxTechTags).forEach(tech => {
+            const tag = document.createElement('span');
+            tag.className = 'project-tech';
+            tag.textContent = tech;
+            technologies.appendChild(tag);
+        });
+
+        const links = document.createElement('div');
+        links.className = 'project-links';
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = 'project-link';
+        link.setAttribute('data-project', project.id);
+        link.setAttribute('aria-label', `View more about ${project.title}`);
+        link.textContent = 'View more';
+
+        // Compare toggle (handled by ProjectCompare)
+        const compare = document.createElement('label');
+        compare.className = 'project-compare';
+        const compareInput = document.createElement('input');
+        compareInput.type = 'checkbox';
+        compareInput.className = 'project-compare__input';
+        compareInput.setAttribute('data-project-id', project.id);
+        compareInput.setAttribute('aria-label', `Compare ${project.title}`);
+        const compareText = document.createElement('span');
+        compareText.textContent = 'Compare';
+        compareText.setAttribute('aria-hidden', 'true');
+        compare.append(compareInput, compareText);
+
+        links.append(link, compare);
+
+        content.append(title, description, technologies, links);
+        card.append(category, status, imgContainer, content);
+
+        return card;
+    }
+
+    /**
+     * Cleanup method
+     */
+    cleanup() {
+        this.cards = [];
+    }
+}
@@ -12,21 +12,86 @@
  * - Keyboard accessibility (ESC to close, focus trapping)
  * - Scroll lock when modal is open
  * - Responsive design for all screen sizes
+ * - Deep links (#project/<id>) with browser Back/Forward support
+ * - Previous/next navigation (buttons, arrow keys, swipe) through the
+ *   projects visible under the active portfolio filter
+ * - Screenshot gallery with captions, thumbnails, keyboard navigation
+ *   and a click-to-zoom full view (images load only when shown)
+ * - Optional "Live demo" / "Video" tab next to the screenshots; the
+ *   sandboxed iframe or video only loads when the visitor asks for it
+ * - Long description and features rendered from sanitized Markdown
+ * - Code snippets with built-in syntax highlighting, line numbers and
+ *   copy-to-clipboard (no external highlighter)
+ * - Related projects strip (shared technologies, category, date) that
+ *   swaps the modal content in place
  * 
  * DEPENDENCIES:
  * - ../data/projects.js - Project data source
+ * - ../data/categories.js - Category labels and icons
+ * - ../data/statuses.js - Lifecycle status badge
+ * - ../data/validation.js - Placeholder link and demo checks
+ * - ../config/constants.js - Route prefix, key, touch and demo constants
+ * - ../utils/dom.js - Escape-by-default markup templates
+ * - ../utils/modal.js - Page scroll lock
+ * - ../utils/markdown.js - Markdown long descriptions and features
+ * - ../utils/highlight.js - Snippet syntax highlighting
+ * - ../utils/helpers.js - Clipboard copy
  * 
  * USAGE:
- * const modal = new ProjectModal();
+ * const modal = new ProjectModal({ getProjectOrder: () => filter.getMatchingProjectIds() });
  * modal.init();
  * 
  * ============================================================================
  */
 
-import { PROJECTS, getProjectById } from '../data/projects.js';
+import { getProjectById, getAllProjects, getProjectImages, getRelatedProjects } from '../data/projects.js';
+import { getCategoryBySlug } from '../data/categories.js';
+import { getStatusBySlug } from '../data/statuses.js';
+import { isPlaceholderUrl, isSameOriginPath, validateProjectDemo } from '../data/validation.js';
+import { ROUTES, KEYS, TOUCH, DEMO } from '../config/constants.js';
+import { html, setHTML } from '../utils/dom.js';
+import { lockScroll, unlockScroll, trapFocus } from '../utils/modal.js';
+import { renderMarkdown, renderInlineMarkdown } from '../utils/markdown.js';
+import { highlightCode, getLanguageLabel } from '../utils/highlight.js';
+import { copyToClipboard } from '../utils/helpers.js';
+
+/** How long "Copied" stays next to a snippet's copy button (ms) */
+const COPY_FEEDBACK_DURATION = 2000;
+
+/** Thumbnails loaded on each side of the active gallery image */
+const THUMB_LOAD_RANGE = 1;
+
+/** @type {Map<string, Promise<string>>} Snippet files by path (fetched once per page view) */
+const snippetSourceCache = new Map();
+
+/**
+ * Fetches a snippet file
+ * @param {string} src - Site-relative path
+ * @returns {Promise<string>} Rejects on network or HTTP errors (not cached),
+ *   and without fetching when src points at another origin
+ */
+const loadSnippetSource = (src) => {
+    if (!isSameOriginPath(src, location.href)) {
+        return Promise.reject(new Error(`${src} is not on this site`));
+    }
+    if (!snippetSourceCache.has(src)) {
+        const request = fetch(src).then(response => {
+            if (!response.ok) throw new Error(`${src} returned HTTP ${response.status}`);
+            return response.text();
+        });
+        request.catch(() => snippetSourceCache.delete(src));
+        snippetSourceCache.set(src, request);
+    }
+    return snippetSourceCache.get(src);
+};
 
 export class ProjectModal {
-    constructor() {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {Function} [options.getProjectOrder] - Returns the ordered project ids
+     *   that previous/next moves through (defaults to the grid's DOM order)
+     */
+    constructor(options = {}) {
         /** @type {HTMLElement|null} Modal container element */
         this.modal = null;
         
@@ -36,11 +101,46 @@ export class ProjectModal {
         /** @type {boolean} Tracks if modal is currently open */
         this.isOpen = false;
         
-        /** @type {Object} Reference to project data from data module */
-        this.projectData = PROJECTS;
-        
         /** @type {number} Stores scroll position before modal opens */
         this.previousScrollY = 0;
+
+        /** @type {string|null} Id of the project currently shown */
+        this.currentProjectId = null;
+
+        /** @type {Function} Bound popstate handler for cleanup */
+        this.boundHandlePopState = () => this.handlePopState();
+
+        /** @type {Function|null} Provider of the ordered project ids for previous/next */
+        this.getProjectOrder = options.getProjectOrder || null;
+
+        /** @type {ProjectImage[]} Screenshots of the project currently shown */
+        this.galleryImages = [];
+
+        /** @type {number} Index of the screenshot currently shown */
+        this.galleryIndex = 0;
+
+        /** @type {string} Title of the project the gallery belongs to (default alt text) */
+        this.galleryTitle = '';
+
+        /** @type {boolean} Tracks if the full-size image view is open */
+        this.isZoomOpen = false;
+
+        /** @type {HTMLElement|null} Element focused before the full-size view opened */
+        this.zoomReturnFocus = null;
+
+        /** @type {ProjectDemo|null} Embeddable demo of the project currently shown */
+        this.demo = null;
+
+        /** @type {Array<string|null>} Source of each snippet shown (null while loading) */
+        this.snippetSources = [];
+
+        /** @type {number|undefined} Clears the "Copied" message */
+        this.copyFeedbackTimer = undefined;
+
+        // Swipe support
+        this.touchStartX = 0;
+        this.touchStartY = 0;
+        this.touchInGallery = false;
     }
 
     /**
@@ -50,6 +150,53 @@ export class ProjectModal {
     init() {
         // Defer modal creation until needed to improve initial load performance
         this.setupEventListeners();
+
+        // Open the project named in the URL (shared deep link)
+        const projectId = this.getProjectIdFromHash();
+        if (projectId) {
+            this.open(projectId, { updateHistory: false });
+        }
+    }
+
+    /**
+     * Extracts the project id from a #project/<id> hash
+     * @param {string} [hash=window.location.hash]
+     * @returns {string|null} Known project id, or null (also for malformed escapes like %E0%A4%A)
+     */
+    getProjectIdFromHash(hash = window.location.hash) {
+        if (!hash.startsWith(ROUTES.PROJECT_PREFIX)) return null;
+
+        let projectId;
+        try {
+            projectId = decodeURIComponent(hash.slice(ROUTES.PROJECT_PREFIX.length));
+        } catch {
+            return null;
+        }
+        return getProjectById(projectId) ? projectId : null;
+    }
+
+    /**
+     * Builds the current URL with the hash swapped out
+     * @param {string} hash - New hash including '#'
+     * @returns {string}
+     */
+    buildURL(hash) {
+        return `${window.location.pathname}${window.location.search}${hash}`;
+    }
+
+    /**
+     * Syncs the modal with the URL on Back/Forward navigation
+     */
+    handlePopState() {
+        const projectId = this.getProjectIdFromHash();
+
+        if (projectId) {
+            if (!this.isOpen || projectId !== this.currentProjectId) {
+                this.open(projectId, { updateHistory: false });
+            }
+        } else if (this.isOpen) {
+            this.close({ updateHistory: false });
+        }
     }
 
     /**
@@ -64,19 +211,53 @@ export class ProjectModal {
         this.overlay.id = 'projectModalOverlay';
 
         // Create modal
-        this.overlay.innerHTML = `
-            <div class="project-modal" id="projectModal" role="dialog" aria-modal="true" aria-labelledby="modalTitle">
+        setHTML(this.overlay, html`
+            <div class="project-modal" id="projectModal" role="dialog" aria-modal="true" aria-labelledby="modalTitle" tabindex="-1">
                 <button class="modal-close-btn" id="modalCloseBtn" aria-label="Close modal">
                     <i class="fas fa-times"></i>
                 </button>
                 
                 <div class="modal-content-wrapper">
-                    <div class="modal-header">
-                        <span class="modal-category-badge" id="modalCategory">
-                            <i class="fas fa-globe"></i>
-                            <span>Web Development</span>
-                        </span>
-                        <img src="" alt="" class="modal-project-image" id="modalImage">
+                    <div class="modal-media-tabs" id="modalMediaTabs" role="tablist" aria-label="Project media" hidden>
+                        <button type="button" class="modal-media-tab active" id="modalTabScreenshots" role="tab"
+                            aria-selected="true" aria-controls="modalScreenshotsPanel">
+                            <i class="far fa-images" aria-hidden="true"></i> Screenshots
+                        </button>
+                        <button type="button" class="modal-media-tab" id="modalTabDemo" role="tab"
+                            aria-selected="false" aria-controls="modalDemoPanel" tabindex="-1">
+                            <i class="fas fa-play-circle" aria-hidden="true"></i> <span id="modalTabDemoLabel">Live demo</span>
+                        </button>
+                    </div>
+
+                    <div class="modal-media-panel" id="modalScreenshotsPanel" role="tabpanel" aria-labelledby="modalTabScreenshots">
+                        <div class="modal-header modal-gallery" id="modalGallery">
+                            <span class="modal-category-badge" id="modalCategory">
+                                <i class="fas fa-globe"></i>
+                                <span>Web Development</span>
+                            </span>
+                            <span class="modal-status-badge" id="modalStatus"></span>
+                            <button type="button" class="modal-gallery-main" id="modalGalleryMain" aria-label="View full size image">
+                                <img src="" alt="" class="modal-project-image" id="modalImage">
+                            </button>
+                            <button type="button" class="modal-gallery-arrow modal-gallery-arrow--prev" id="modalGalleryPrev" aria-label="Previous image">
+                                <i class="fas fa-chevron-left"></i>
+                            </button>
+                            <button type="button" class="modal-gallery-arrow modal-gallery-arrow--next" id="modalGalleryNext" aria-label="Next image">
+                                <i class="fas fa-chevron-right"></i>
+                            </button>
+                            <span class="modal-gallery-counter" id="modalGalleryCounter" aria-hidden="true"></span>
+                        </div>
+                    
+                        <div class="modal-gallery-strip" id="modalGalleryStrip">
+                            <p class="modal-gallery-caption" id="modalGalleryCaption" aria-live="polite"></p>
+                            <div class="modal-gallery-thumbs" id="modalGalleryThumbs" role="group" aria-label="Project screenshots">
+                                <!-- Thumbnails will be inserted here -->
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="modal-media-panel modal-demo" id="modalDemoPanel" role="tabpanel" aria-labelledby="modalTabDemo" hidden>
+                        <!-- Click-to-load demo placeholder, replaced by the iframe/video on request -->
                     </div>
                     
                     <div class="modal-body">
@@ -91,7 +272,7 @@ export class ProjectModal {
                         
                         <div class="modal-section">
                             <h3 class="modal-section-title"><i class="fas fa-info-circle"></i> Overview</h3>
-                            <p class="modal-description" id="modalDescription">Description goes here...</p>
+                            <div class="modal-description" id="modalDescription"></div>
                         </div>
                         
                         <div class="modal-section">
@@ -107,19 +288,60 @@ export class ProjectModal {
                                 <!-- Features will be inserted here -->
                             </ul>
                         </div>
+                        
+                        <div class="modal-section modal-snippets" id="modalSnippetsSection" hidden>
+                            <h3 class="modal-section-title"><i class="fas fa-code"></i> Code Highlights</h3>
+                            <div class="modal-snippets-list" id="modalSnippets">
+                                <!-- Highlighted snippets will be inserted here -->
+                            </div>
+                        </div>
+                        
+                        <div class="modal-section modal-related" id="modalRelatedSection">
+                            <h3 class="modal-section-title"><i class="fas fa-project-diagram"></i> Related Projects</h3>
+                            <ul class="modal-related-list" id="modalRelated">
+                                <!-- Related project cards will be inserted here -->
+                            </ul>
+                        </div>
                     </div>
                     
                     <div class="modal-footer">
-                        <a href="#" class="modal-btn modal-btn-primary" id="modalLiveBtn" target="_blank">
+                        <a href="#" class="modal-btn modal-btn-primary" id="modalLiveBtn" target="_blank" rel="noopener noreferrer">
                             <i class="fas fa-external-link-alt"></i> Live Demo
                         </a>
-                        <a href="#" class="modal-btn modal-btn-secondary" id="modalGithubBtn" target="_blank">
+                        <a href="#" class="modal-btn modal-btn-secondary" id="modalGithubBtn" target="_blank" rel="noopener noreferrer">
                             <i class="fab fa-github"></i> Source Code
                         </a>
+                        
+                        <nav class="modal-project-nav" id="modalProjectNav" aria-label="Project navigation">
+                            <button type="button" class="modal-nav-btn" id="modalPrevBtn" aria-label="Previous project">
+                                <i class="fas fa-chevron-left"></i> <span>Previous</span>
+                            </button>
+                            <span class="modal-nav-position" id="modalPosition" aria-hidden="true"></span>
+                            <span class="sr-only" id="modalPositionAnnouncer" aria-live="polite" aria-atomic="true"></span>
+                            <button type="button" class="modal-nav-btn" id="modalNextBtn" aria-label="Next project">
+                                <span>Next</span> <i class="fas fa-chevron-right"></i>
+                            </button>
+                        </nav>
                     </div>
                 </div>
             </div>
-        `;
+            
+            <div class="modal-gallery-zoom" id="modalGalleryZoom" role="dialog" aria-modal="true" aria-label="Full size image" hidden>
+                <button type="button" class="modal-gallery-zoom__close" id="modalZoomCloseBtn" aria-label="Close full size image">
+                    <i class="fas fa-times"></i>
+                </button>
+                <button type="button" class="modal-gallery-arrow modal-gallery-arrow--prev" id="modalZoomPrev" aria-label="Previous image">
+                    <i class="fas fa-chevron-left"></i>
+                </button>
+                <figure class="modal-gallery-zoom__figure">
+                    <img src="" alt="" class="modal-gallery-zoom__img" id="modalZoomImage">
+                    <figcaption class="modal-gallery-zoom__caption" id="modalZoomCaption"></figcaption>
+                </figure>
+                <button type="button" class="modal-gallery-arrow modal-gallery-arrow--next" id="modalZoomNext" aria-label="Next image">
+                    <i class="fas fa-chevron-right"></i>
+                </button>
+            </div>
+        `);
 
         document.body.appendChild(this.overlay);
         this.modal = document.getElementById('projectModal');
@@ -132,15 +354,38 @@ export class ProjectModal {
      * Sets up initial event listeners (links and global keys)
      */
     setupEventListeners() {
-        // ESC key to close (global listener)
+        // ESC key to close, arrow keys for previous/next, Tab stays in the dialog (global listener)
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.isOpen) {
+            if (!this.isOpen) return;
+
+            // The full-size image view owns Escape, Tab and the arrow keys while open
+            if (this.isZoomOpen) {
+                if (e.key === KEYS.ESCAPE) {
+                    this.closeZoom();
+                } else if (e.key === KEYS.TAB) {
+                    trapFocus(document.getElementById('modalGalleryZoom'), e);
+                } else {
+                    this.handleGalleryKeydown(e);
+                }
+                return;
+            }
+
+            if (e.key === KEYS.ESCAPE) {
                 this.close();
+            } else if ((e.key === KEYS.ARROW_LEFT || e.key === KEYS.ARROW_RIGHT)
+                && !e.altKey && !e.ctrlKey && !e.metaKey && !e.shiftKey) {
+                e.preventDefault();
+                this.navigate(e.key === KEYS.ARROW_LEFT ? 'prev' : 'next');
+            } else {
+                trapFocus(this.modal, e);
             }
         });
 
         // Project card "View more" buttons
         this.setupProjectLinks();
+
+        // Back closes the modal, Forward reopens it
+        window.addEventListener('popstate', this.boundHandlePopState);
     }
 
     /**
@@ -160,6 +405,55 @@ export class ProjectModal {
             });
         }
 
+        // Previous/next project buttons
+        document.getElementById('modalPrevBtn')?.addEventListener('click', () => this.navigate('prev'));
+        document.getElementById('modalNextBtn')?.addEventListener('click', () => this.navigate('next'));
+
+        // Related project mini-cards (rebuilt per project, so delegate)
+        document.getElementById('modalRelated')?.addEventListener('click', (e) => {
+            const card = e.target.closest('.modal-related-card');
+            if (card) this.showProject(card.dataset.projectId);
+        });
+
+        this.attachGalleryListeners();
+        this.attachDemoListeners();
+
+        // Snippet copy buttons (rebuilt per project, so delegate)
+        const snippets = document.getElementById('modalSnippets');
+        snippets?.addEventListener('click', (e) => {
+            const button = e.target.closest('.code-snippet__copy');
+            if (button) this.copySnippet(button);
+        });
+
+        // Arrow keys scroll a focused snippet instead of changing project
+        snippets?.addEventListener('keydown', (e) => {
+            if (e.key === KEYS.ARROW_LEFT || e.key === KEYS.ARROW_RIGHT) e.stopPropagation();
+        });
+
+        // Horizontal swipe for previous/next on touch devices
+        // (swiping over a multi-image gallery changes the image instead)
+        this.modal.addEventListener('touchstart', (e) => {
+            this.touchStartX = e.changedTouches[0].screenX;
+            this.touchStartY = e.changedTouches[0].screenY;
+            this.touchInGallery = this.galleryImages.length > 1
+                && Boolean(e.target.closest('#modalGallery, #modalGalleryStrip'));
+        }, { passive: true });
+
+        this.modal.addEventListener('touchend', (e) => {
+            const deltaX = e.changedTouches[0].screenX - this.touchStartX;
+            const deltaY = e.changedTouches[0].screenY - this.touchStartY;
+
+            // Vertical scrolling inside the modal is not a swipe
+            if (Math.abs(deltaY) > Math.abs(deltaX) + TOUCH.VERTICAL_THRESHOLD) return;
+            if (Math.abs(deltaX) < TOUCH.MIN_SWIPE_DISTANCE) return;
+
+            if (this.touchInGallery) {
+                this.showImage(this.galleryIndex + (deltaX > 0 ? -1 : 1));
+            } else {
+                this.navigate(deltaX > 0 ? 'prev' : 'next');
+            }
+        }, { passive: true });
+
         // Click outside to close (debounced)
         let isClosingOverlay = false;
         this.overlay.addEventListener('click', (e) => {
@@ -172,43 +466,159 @@ export class ProjectModal {
     }
 
     /**
-     * Sets up click handlers for all project card links
+     * Attaches gallery listeners (arrows, thumbnails, zoom view)
+     */
+    attachGalleryListeners() {
+        document.getElementById('modalGalleryPrev')?.addEventListener('click', () => this.showImage(this.galleryIndex - 1));
+        document.getElementById('modalGalleryNext')?.addEventListener('click', () => this.showImage(this.galleryIndex + 1));
+        document.getElementById('modalGalleryMain')?.addEventListener('click', () => this.openZoom());
+
+        // Thumbnails are rebuilt per project, so delegate from the strip
+        document.getElementById('modalGalleryThumbs')?.addEventListener('click', (e) => {
+            const thumb = e.target.closest('.modal-gallery-thumb');
+            if (thumb) this.showImage(Number(thumb.dataset.index));
+        });
+
+        // Arrow keys inside the gallery move between images, not projects
+        ['modalGallery', 'modalGalleryStrip'].forEach(id => {
+            document.getElementById(id)?.addEventListener('keydown', (e) => this.handleGalleryKeydown(e));
+        });
+
+        // Full-size view
+        const zoom = document.getElementById('modalGalleryZoom');
+        document.getElementById('modalZoomCloseBtn')?.addEventListener('click', () => this.closeZoom());
+        document.getElementById('modalZoomPrev')?.addEventListener('click', () => this.showImage(this.galleryIndex - 1));
+        document.getElementById('modalZoomNext')?.addEventListener('click', () => this.showImage(this.galleryIndex + 1));
+        zoom?.addEventListener('click', (e) => {
+            // Click on the backdrop (not the image or controls) closes the view
+            if (e.target === zoom || e.target.classList.contains('modal-gallery-zoom__figure')) {
+                this.closeZoom();
+            }
+        });
+    }
+
+    /**
+     * Attaches media tab and demo listeners
+     */
+    attachDemoListeners() {
+        const tabs = document.getElementById('modalMediaTabs');
+        tabs?.addEventListener('click', (e) => {
+            const tab = e.target.closest('.modal-media-tab');
+            if (tab) this.selectMediaTab(tab.id === 'modalTabDemo' ? 'demo' : 'screenshots');
+        });
+
+        // Arrow/Home/End move between the two tabs (not between projects)
+        tabs?.addEventListener('keydown', (e) => {
+            if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+
+            const targets = {
+                [KEYS.ARROW_LEFT]: 'screenshots',
+                [KEYS.ARROW_RIGHT]: 'demo',
+                [KEYS.HOME]: 'screenshots',
+                [KEYS.END]: 'demo'
+            };
+            if (!(e.key in targets)) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            this.selectMediaTab(targets[e.key], { focus: true });
+        });
+
+        const panel = document.getElementById('modalDemoPanel');
+        panel?.addEventListener('click', (e) => {
+            if (e.target.closest('.modal-demo__load')) this.loadDemo();
+        });
+
+        // Arrow keys belong to the video controls (seek/volume) inside the panel
+        panel?.addEventListener('keydown', (e) => {
+            if (e.key === KEYS.ARROW_LEFT || e.key === KEYS.ARROW_RIGHT) e.stopPropagation();
+        });
+    }
+
+    /**
+     * Moves between gallery images with Arrow/Home/End keys
+     * @param {KeyboardEvent} e
+     */
+    handleGalleryKeydown(e) {
+        if (this.galleryImages.length <= 1) return;
+        if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+
+        const targets = {
+            [KEYS.ARROW_LEFT]: this.galleryIndex - 1,
+            [KEYS.ARROW_RIGHT]: this.galleryIndex + 1,
+            [KEYS.HOME]: 0,
+            [KEYS.END]: this.galleryImages.length - 1
+        };
+        if (!(e.key in targets)) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        this.showImage(targets[e.key]);
+
+        // Keep keyboard focus on the active thumbnail when moving through the strip
+        if (e.target.closest?.('.modal-gallery-thumb')) {
+            document.querySelector(`.modal-gallery-thumb[data-index="${this.galleryIndex}"]`)?.focus();
+        }
+    }
+
+    /**
+     * Sets up click handling for project card links
+     * Uses event delegation because cards are rendered by ProjectGrid and PortfolioTimeline
      */
     setupProjectLinks() {
-        const projectLinks = document.querySelectorAll('.project-card .project-link');
-        
-        projectLinks.forEach((link) => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                const projectId = link.getAttribute('data-project');
-                if (projectId && this.projectData[projectId]) {
-                    this.open(projectId);
-                }
-            });
+        const container = document.getElementById('portfolio') || document;
+
+        container.addEventListener('click', (e) => {
+            const link = e.target.closest('.project-card .project-link, .timeline-card[data-project]');
+            if (!link) return;
+
+            e.preventDefault();
+            const projectId = link.getAttribute('data-project');
+            if (projectId && getProjectById(projectId)) {
+                this.open(projectId);
+            }
         });
     }
 
     /**
      * Opens the modal with specific project data
+     * @param {string} projectId - Project to show
+     * @param {Object} [options]
+     * @param {boolean} [options.updateHistory=true] - Push a #project/<id> history entry
+     * @param {boolean} [options.replaceHistory=false] - Replace the current project entry instead of pushing
      */
-    open(projectId) {
+    open(projectId, { updateHistory = true, replaceHistory = false } = {}) {
         // Ensure modal structure exists
         this.createModalStructure();
 
-        const project = this.projectData[projectId];
+        const project = getProjectById(projectId);
         if (!project) return;
 
         // Populate modal content
         this.populateModal(project);
+        this.currentProjectId = projectId;
+        this.updateNavigation();
+
+        if (updateHistory && window.history.pushState) {
+            const hash = `${ROUTES.PROJECT_PREFIX}${encodeURIComponent(projectId)}`;
+            if (window.location.hash !== hash) {
+                if (replaceHistory && this.getProjectIdFromHash()) {
+                    // Keep the existing entry's state so closing still steps back correctly
+                    window.history.replaceState(window.history.state, '', this.buildURL(hash));
+                } else {
+                    window.history.pushState({ projectModal: projectId }, '', this.buildURL(hash));
+                }
+            }
+        }
+
+        // Already open (e.g. Forward to another project) - content swap only
+        if (this.isOpen) return;
 
         // Store current scroll position BEFORE any changes
         this.previousScrollY = window.scrollY || window.pageYOffset || document.documentElement.scrollTop || 0;
 
         // Lock body scroll without position:fixed (prevents scroll jump)
-        document.documentElement.classList.add('modal-open');
-        document.body.classList.add('modal-open');
-        document.body.style.overflow = 'hidden';
-        document.body.style.paddingRight = this.getScrollbarWidth() + 'px';
+        lockScroll();
         
         // Use requestAnimationFrame for smooth animation start
         requestAnimationFrame(() => {
@@ -217,17 +627,81 @@ export class ProjectModal {
         
         this.isOpen = true;
 
-        // Focus trap for accessibility (delay slightly for animation)
+        // Move focus into the dialog (delay slightly for animation)
         setTimeout(() => {
             this.modal?.focus();
         }, 50);
     }
 
     /**
-     * Get scrollbar width to prevent layout shift
+     * Returns the ordered project ids previous/next moves through
+     * Falls back to every project when the open one is filtered out
+     * @returns {string[]}
+     */
+    getNavigationIds() {
+        const ids = this.getProjectOrder
+            ? this.getProjectOrder()
+            : Array.from(document.querySelectorAll('.project-card[data-project-id]'),
+                card => card.getAttribute('data-project-id'));
+
+        const knownIds = ids.filter(id => getProjectById(id));
+        return knownIds.includes(this.currentProjectId) ? knownIds : getAllProjects().map(project => project.id);
+    }
+
+    /**
+     * Shows the previous or next project in place
+     * @param {'prev'|'next'} direction
      */
-    getScrollbarWidth() {
-        return window.innerWidth - document.documentElement.clientWidth;
+    navigate(direction) {
+        if (!this.isOpen) return;
+
+        const ids = this.getNavigationIds();
+        const index = ids.indexOf(this.currentProjectId);
+        const nextId = ids[index + (direction === 'next' ? 1 : -1)];
+        if (!nextId) return;
+
+        this.showProject(nextId);
+    }
+
+    /**
+     * Swaps the open modal to another project and scrolls back to the top
+     * @param {string} projectId
+     */
+    showProject(projectId) {
+        if (!this.isOpen || !getProjectById(projectId)) return;
+
+        this.open(projectId, { replaceHistory: true });
+
+        const contentWrapper = this.modal?.querySelector('.modal-content-wrapper');
+        if (contentWrapper) contentWrapper.scrollTop = 0;
+    }
+
+    /**
+     * Updates previous/next buttons and the "3 of 6" position text
+     */
+    updateNavigation() {
+        const nav = document.getElementById('modalProjectNav');
+        if (!nav) return;
+
+        const ids = this.getNavigationIds();
+        const index = ids.indexOf(this.currentProjectId);
+        nav.hidden = ids.length <= 1;
+
+        const prevProject = getProjectById(ids[index - 1]);
+        const nextProject = getProjectById(ids[index + 1]);
+
+        const prevBtn = document.getElementById('modalPrevBtn');
+        prevBtn.disabled = !prevProject;
+        prevBtn.setAttribute('aria-label', prevProject ? `Previous project: ${prevProject.title}` : 'Previous project');
+
+        const nextBtn = document.getElementById('modalNextBtn');
+        nextBtn.disabled = !nextProject;
+        nextBtn.setAttribute('aria-label', nextProject ? `Next project: ${nextProject.title}` : 'Next project');
+
+        const position = `${index + 1} of ${ids.length}`;
+        document.getElementById('modalPosition').textContent = position;
+        document.getElementById('modalPositionAnnouncer').textContent =
+            `Project ${position}: ${getProjectById(this.currentProjectId).title}`;
     }
 
     /**
@@ -235,16 +709,27 @@ export class ProjectModal {
      */
     populateModal(project) {
         // Category badge
+        const category = getCategoryBySlug(project.category);
         const categoryBadge = document.getElementById('modalCategory');
-        categoryBadge.innerHTML = `
-            <i class="${project.categoryIcon}"></i>
-            <span>${project.category}</span>
-        `;
+        setHTML(categoryBadge, html`
+            <i class="${category.icon}"></i>
+            <span>${category.label}</span>
+        `);
+
+        // Status badge
+        const status = getStatusBySlug(project.status);
+        const statusBadge = document.getElementById('modalStatus');
+        statusBadge.className = `modal-status-badge modal-status-badge--${status.slug}`;
+        setHTML(statusBadge, html`
+            <i class="${status.icon}" aria-hidden="true"></i>
+            <span>${status.label}</span>
+        `);
+
+        // Screenshot gallery
+        this.renderGallery(project);
 
-        // Image
-        const image = document.getElementById('modalImage');
-        image.src = project.image;
-        image.alt = project.title;
+        // Demo tab (shown only for projects with a usable demo)
+        this.renderDemo(project);
 
         // Title
         document.getElementById('modalTitle').textContent = project.title;
@@ -253,46 +738,424 @@ export class ProjectModal {
         document.getElementById('modalDate').textContent = project.date;
         document.getElementById('modalDuration').textContent = project.duration;
 
-        // Description
-        document.getElementById('modalDescription').textContent = project.longDescription;
+        // Description (Markdown; '#' headings sit below the section's <h3>)
+        setHTML(document.getElementById('modalDescription'),
+            renderMarkdown(project.longDescription, { headingLevel: 4 }));
 
         // Technologies
         const techContainer = document.getElementById('modalTechnologies');
-        techContainer.innerHTML = project.technologies
-            .map(tech => `<span class="modal-tech-tag">${tech}</span>`)
-            .join('');
+        setHTML(techContainer, html`${project.technologies
+            .map(tech => html`<span class="modal-tech-tag">${tech}</span>`)}`);
 
         // Features
         const featuresContainer = document.getElementById('modalFeatures');
-        featuresContainer.innerHTML = project.features
-            .map(feature => `<li>${feature}</li>`)
-            .join('');
+        setHTML(featuresContainer, html`${project.features
+            .map(feature => html`<li>${renderInlineMarkdown(feature)}</li>`)}`);
+
+        // Code snippets
+        this.renderSnippets(project);
+
+        // Related projects
+        this.renderRelated(project);
+
+        // Buttons - only real links are shown ('#' placeholders are hidden)
+        this.updateLinkButton(document.getElementById('modalLiveBtn'), project.liveUrl);
+        this.updateLinkButton(document.getElementById('modalGithubBtn'), project.githubUrl);
+    }
+
+    /**
+     * Renders the project's code snippets, hiding the section when there are none
+     * Inline snippets are highlighted immediately; `src` files are fetched now
+     * (once per page view) and highlighted when they arrive
+     * @param {Project} project
+     */
+    renderSnippets(project) {
+        const snippets = Array.isArray(project.snippets) ? project.snippets : [];
+        document.getElementById('modalSnippetsSection').hidden = !snippets.length;
+
+        clearTimeout(this.copyFeedbackTimer);
+        this.snippetSources = snippets.map(snippet => snippet.code ?? null);
+
+        const container = document.getElementById('modalSnippets');
+        setHTML(container, html`${snippets.map((snippet, index) => html`
+            <figure class="code-snippet">
+                <figcaption class="code-snippet__header">
+                    <span class="code-snippet__title">${snippet.title}</span>
+                    <span class="code-snippet__lang">${getLanguageLabel(snippet.language)}</span>
+                    <span class="code-snippet__status" aria-live="polite"></span>
+                    <button type="button" class="code-snippet__copy" data-index="${index}"
+                        aria-label="Copy code: ${snippet.title}"${snippet.code === undefined ? html` disabled` : ''}>
+                        <i class="far fa-copy" aria-hidden="true"></i> Copy
+                    </button>
+                </figcaption>
+                <pre class="code-snippet__pre" tabindex="0"><code class="code-snippet__code">${snippet.code !== undefined
+                    ? highlightCode(snippet.code, snippet.language)
+                    : html`<span class="code-snippet__loading">Loading ${snippet.src}…</span>`}</code></pre>
+            </figure>
+        `)}`);
+
+        snippets.forEach((snippet, index) => {
+            if (snippet.code !== undefined || !snippet.src) return;
+
+            loadSnippetSource(snippet.src)
+                .then(source => {
+                    // The visitor may have moved on to another project meanwhile
+                    if (this.currentProjectId !== project.id) return;
+                    this.snippetSources[index] = source;
+                    const figure = container.children[index];
+                    setHTML(figure.querySelector('code'), highlightCode(source, snippet.language));
+                    figure.querySelector('.code-snippet__copy').disabled = false;
+                })
+                .catch(error => {
+                    console.warn(`Project snippets: ${error.message}`);
+                    if (this.currentProjectId !== project.id) return;
+                    setHTML(container.children[index].querySelector('code'),
+                        html`<span class="code-snippet__loading">Could not load ${snippet.src}</span>`);
+                });
+        });
+    }
+
+    /**
+     * Copies a snippet's source and reports the result next to the button
+     * @param {HTMLButtonElement} button - .code-snippet__copy with data-index
+     */
+    async copySnippet(button) {
+        const source = this.snippetSources[Number(button.dataset.index)];
+        if (typeof source !== 'string') return;
+
+        const copied = await copyToClipboard(source);
+        const status = button.parentElement.querySelector('.code-snippet__status');
+        document.querySelectorAll('.code-snippet__status').forEach(element => { element.textContent = ''; });
+        status.textContent = copied ? 'Copied' : 'Copy failed - select the code instead';
+
+        clearTimeout(this.copyFeedbackTimer);
+        this.copyFeedbackTimer = setTimeout(() => { status.textContent = ''; }, COPY_FEEDBACK_DURATION);
+    }
+
+    /**
+     * Renders the related projects strip, hiding it when nothing is related
+     * @param {Project} project
+     */
+    renderRelated(project) {
+        const related = getRelatedProjects(project.id);
+        const section = document.getElementById('modalRelatedSection');
+        section.hidden = !related.length;
+
+        setHTML(document.getElementById('modalRelated'), html`${related.map(({ project: relatedProject, sharedTechnologies }) => {
+            const category = getCategoryBySlug(relatedProject.category);
+            const reason = sharedTechnologies.length
+                ? `Also uses ${sharedTechnologies.join(', ')}`
+                : category.label;
+
+            return html`
+                <li>
+                    <button type="button" class="modal-related-card" data-project-id="${relatedProject.id}">
+                        <img src="${relatedProject.image}" alt="" class="modal-related-img" loading="lazy" decoding="async">
+                        <span class="modal-related-info">
+                            <span class="modal-related-title">${relatedProject.title}</span>
+                            <span class="modal-related-reason">${reason}</span>
+                        </span>
+                    </button>
+                </li>
+            `;
+        })}`);
+    }
+
+    /**
+     * Shows a footer link button for a real URL, hides it for a placeholder
+     * @param {HTMLAnchorElement} button
+     * @param {string} url
+     */
+    updateLinkButton(button, url) {
+        const hasLink = !isPlaceholderUrl(url);
+
+        button.hidden = !hasLink;
+        if (hasLink) {
+            button.href = url;
+        } else {
+            button.removeAttribute('href');
+        }
+    }
+
+    /**
+     * Builds the thumbnail strip for a project and shows its first image
+     * Thumbnails keep their file in data-src until showImage() reaches them:
+     * the strip is on screen as soon as the modal opens, so native lazy loading
+     * would still fetch every screenshot (thumb falls back to the full image)
+     * @param {Project} project
+     */
+    renderGallery(project) {
+        this.galleryImages = getProjectImages(project);
+        this.galleryIndex = 0;
+        this.galleryTitle = project.title;
+
+        const hasMany = this.galleryImages.length > 1;
+        const thumbs = document.getElementById('modalGalleryThumbs');
+        const fragment = document.createDocumentFragment();
+
+        if (hasMany) {
+            this.galleryImages.forEach((image, index) => {
+                const thumb = document.createElement('button');
+                thumb.type = 'button';
+                thumb.className = 'modal-gallery-thumb';
+                thumb.dataset.index = String(index);
+                thumb.setAttribute('aria-label', `Show image ${index + 1} of ${this.galleryImages.length}${image.caption ? `: ${image.caption}` : ''}`);
+
+                const img = document.createElement('img');
+                img.dataset.src = image.thumb || image.src;
+                img.alt = '';
+                img.decoding = 'async';
+                thumb.appendChild(img);
+                fragment.appendChild(thumb);
+            });
+        }
+        thumbs.replaceChildren(fragment);
+
+        document.getElementById('modalGallery').classList.toggle('has-multiple', hasMany);
+        ['modalGalleryPrev', 'modalGalleryNext', 'modalGalleryCounter', 'modalZoomPrev', 'modalZoomNext']
+            .forEach(id => { document.getElementById(id).hidden = !hasMany; });
+        thumbs.hidden = !hasMany;
+
+        this.showImage(0);
+    }
+
+    /**
+     * Shows the gallery image at the given index (clamped to the list)
+     * @param {number} index
+     */
+    showImage(index) {
+        const total = this.galleryImages.length;
+        if (!total) return;
+
+        this.galleryIndex = Math.max(0, Math.min(index, total - 1));
+        const image = this.galleryImages[this.galleryIndex];
+        const alt = image.alt || image.caption || this.galleryTitle;
+
+        const mainImage = document.getElementById('modalImage');
+        if (mainImage.getAttribute('src') !== image.src) mainImage.src = image.src;
+        mainImage.alt = alt;
+
+        const caption = document.getElementById('modalGalleryCaption');
+        caption.textContent = image.caption || '';
+        caption.hidden = !image.caption;
+        document.getElementById('modalGalleryStrip').hidden = !image.caption && total <= 1;
+
+        document.getElementById('modalGalleryCounter').textContent = `${this.galleryIndex + 1} / ${total}`;
+        document.getElementById('modalGalleryPrev').disabled = this.galleryIndex === 0;
+        document.getElementById('modalGalleryNext').disabled = this.galleryIndex === total - 1;
+        document.getElementById('modalZoomPrev').disabled = this.galleryIndex === 0;
+        document.getElementById('modalZoomNext').disabled = this.galleryIndex === total - 1;
+
+        document.querySelectorAll('.modal-gallery-thumb').forEach(thumb => {
+            const isActive = Number(thumb.dataset.index) === this.galleryIndex;
+            thumb.classList.toggle('active', isActive);
+            thumb.setAttribute('aria-current', isActive ? 'true' : 'false');
+            if (isActive) thumb.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+
+            const img = thumb.querySelector('img[data-src]');
+            if (img && Math.abs(Number(thumb.dataset.index) - this.galleryIndex) <= THUMB_LOAD_RANGE) {
+                img.src = img.dataset.src;
+                img.removeAttribute('data-src');
+            }
+        });
+
+        if (this.isZoomOpen) this.updateZoomImage();
+    }
+
+    /**
+     * Opens the full-size view of the current gallery image
+     */
+    openZoom() {
+        const zoom = document.getElementById('modalGalleryZoom');
+        if (!zoom || !this.galleryImages.length) return;
+
+        this.zoomReturnFocus = document.activeElement;
+        this.isZoomOpen = true;
+        this.updateZoomImage();
+        zoom.hidden = false;
+        document.getElementById('modalZoomCloseBtn')?.focus();
+    }
+
+    /**
+     * Syncs the full-size view with the current gallery image
+     */
+    updateZoomImage() {
+        const image = this.galleryImages[this.galleryIndex];
+        const zoomImage = document.getElementById('modalZoomImage');
+        if (!image || !zoomImage) return;
+
+        zoomImage.src = image.src;
+        zoomImage.alt = document.getElementById('modalImage').alt;
+        document.getElementById('modalZoomCaption').textContent = image.caption || '';
+    }
+
+    /**
+     * Closes the full-size view and returns focus to where it was
+     */
+    closeZoom() {
+        if (!this.isZoomOpen) return;
+
+        this.isZoomOpen = false;
+        document.getElementById('modalGalleryZoom').hidden = true;
+        this.zoomReturnFocus?.focus?.();
+        this.zoomReturnFocus = null;
+    }
+
+    /**
+     * Shows the media tabs for a project with an embeddable demo and
+     * prepares its click-to-load placeholder (nothing is fetched yet)
+     * @param {Project} project
+     */
+    renderDemo(project) {
+        const demo = project.demo && !validateProjectDemo(project.demo).errors.length
+            ? project.demo
+            : null;
+
+        this.demo = demo;
+        document.getElementById('modalMediaTabs').hidden = !demo;
+        document.getElementById('modalTabDemoLabel').textContent = demo?.type === 'video' ? 'Video' : 'Live demo';
+
+        this.resetDemo();
+        this.selectMediaTab('screenshots');
+    }
+
+    /**
+     * Switches between the screenshots and demo panels
+     * Leaving the demo tab pauses a playing video
+     * @param {'screenshots'|'demo'} name
+     * @param {Object} [options]
+     * @param {boolean} [options.focus=false] - Move focus to the selected tab (keyboard)
+     */
+    selectMediaTab(name, { focus = false } = {}) {
+        const showDemo = name === 'demo' && Boolean(this.demo);
+        const screenshotsTab = document.getElementById('modalTabScreenshots');
+        const demoTab = document.getElementById('modalTabDemo');
+
+        [[screenshotsTab, !showDemo], [demoTab, showDemo]].forEach(([tab, selected]) => {
+            tab.classList.toggle('active', selected);
+            tab.setAttribute('aria-selected', String(selected));
+            tab.tabIndex = selected ? 0 : -1;
+        });
+
+        document.getElementById('modalScreenshotsPanel').hidden = showDemo;
+        const panel = document.getElementById('modalDemoPanel');
+        panel.hidden = !showDemo;
 
-        // Buttons
-        document.getElementById('modalLiveBtn').href = project.liveUrl;
-        document.getElementById('modalGithubBtn').href = project.githubUrl;
+        if (showDemo) {
+            // The poster is the only request made before the visitor clicks play
+            const poster = panel.querySelector('img[data-src]');
+            if (poster) {
+                poster.src = poster.dataset.src;
+                poster.removeAttribute('data-src');
+            }
+        } else {
+            panel.querySelector('video')?.pause();
+        }
+
+        if (focus) (showDemo ? demoTab : screenshotsTab).focus();
+    }
+
+    /**
+     * Replaces the demo panel content with its click-to-load placeholder
+     * Removing a loaded iframe/video stops it, so this runs on close and on
+     * every project change
+     */
+    resetDemo() {
+        const panel = document.getElementById('modalDemoPanel');
+        if (!panel) return;
+
+        panel.querySelector('video')?.pause();
+
+        if (!this.demo) {
+            panel.replaceChildren();
+        } else if (this.demo.type === 'video') {
+            const title = this.demo.title || `${this.galleryTitle} video`;
+            setHTML(panel, html`
+                <button type="button" class="modal-demo__load modal-demo__poster" aria-label="Play video: ${title}">
+                    <img data-src="${this.demo.poster}" alt="" class="modal-demo__poster-img" decoding="async">
+                    <span class="modal-demo__play" aria-hidden="true"><i class="fas fa-play"></i></span>
+                </button>
+            `);
+        } else {
+            const host = new URL(this.demo.src).host;
+            setHTML(panel, html`
+                <div class="modal-demo__placeholder">
+                    <i class="fas fa-laptop-code modal-demo__icon" aria-hidden="true"></i>
+                    <p class="modal-demo__text">
+                        Try the running project here. It loads from <strong>${host}</strong> in a sandboxed frame.
+                    </p>
+                    <button type="button" class="modal-btn modal-btn-primary modal-demo__load">
+                        <i class="fas fa-play" aria-hidden="true"></i> Load live demo
+                    </button>
+                </div>
+            `);
+        }
+    }
+
+    /**
+     * Replaces the placeholder with the sandboxed iframe or the video player
+     */
+    loadDemo() {
+        const demo = this.demo;
+        const panel = document.getElementById('modalDemoPanel');
+        if (!demo || !panel) return;
+
+        if (demo.type === 'video') {
+            const title = demo.title || `${this.galleryTitle} video`;
+            const sources = demo.sources.map(src => {
+                const extension = src.split(/[?#]/)[0].split('.').pop().toLowerCase();
+                return html`<source src="${src}" type="${DEMO.VIDEO_TYPES[extension]}">`;
+            });
+
+            setHTML(panel, html`
+                <video class="modal-demo__video" controls playsinline preload="metadata"
+                    poster="${demo.poster}" aria-label="${title}">${sources}</video>
+            `);
+
+            const video = panel.querySelector('video');
+            video.focus();
+            // Autoplay can still be refused (e.g. data saver); the controls stay usable
+            video.play()?.catch(() => {});
+        } else {
+            const title = demo.title || `${this.galleryTitle} live demo`;
+            setHTML(panel, html`
+                <iframe class="modal-demo__frame" src="${demo.src}" title="${title}"
+                    sandbox="${DEMO.IFRAME_SANDBOX}" referrerpolicy="no-referrer" allow="fullscreen" allowfullscreen></iframe>
+            `);
+            panel.querySelector('iframe').focus();
+        }
     }
 
     /**
      * Closes the modal with optimized performance
+     * @param {Object} [options]
+     * @param {boolean} [options.updateHistory=true] - Leave the #project/<id> route
      */
-    close() {
+    close({ updateHistory = true } = {}) {
         if (!this.isOpen) return;
+
+        this.closeZoom();
+
+        // Stop a playing video or running demo frame
+        this.resetDemo();
+
+        if (updateHistory && this.getProjectIdFromHash()) {
+            if (window.history.state?.projectModal) {
+                // We pushed this entry - step back so Forward can reopen it
+                window.history.back();
+            } else {
+                // Opened from a shared link - nothing to go back to on this page
+                window.history.replaceState(null, '', this.buildURL('#portfolio'));
+            }
+        }
+        this.currentProjectId = null;
         
-        // Immediately unlock scroll for instant responsiveness
-        document.body.style.overflow = '';
-        document.documentElement.style.overflow = '';
+        // Unlock scroll now; body classes go once the fade-out finishes
+        unlockScroll();
         
         // Use requestAnimationFrame for smooth animation
         requestAnimationFrame(() => {
             this.overlay.classList.remove('active');
-            
-            // Wait for animation to complete before removing body classes
-            setTimeout(() => {
-                document.documentElement.classList.remove('modal-open');
-                document.body.classList.remove('modal-open');
-                document.body.style.paddingRight = '';
-            }, 200); // Match CSS transition duration
         });
         
         this.isOpen = false;
@@ -302,6 +1165,7 @@ export class ProjectModal {
      * Cleanup method
      */
     cleanup() {
+        window.removeEventListener('popstate', this.boundHandlePopState);
         document.documentElement.classList.remove('modal-open');
         document.body.classList.remove('modal-open');
         document.body.style.overflow = '';
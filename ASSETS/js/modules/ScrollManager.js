@@ -1,8 +1,12 @@
 /**
  * Scroll Manager Module
  * Handles scroll-based interactions including sticky header and active nav
+ * Project routes (#project/<id>) belong to ProjectModal and are never
+ * overwritten or scrolled to here
  */
 
+import { ROUTES } from '../config/constants.js';
+
 export class ScrollManager {
     constructor() {
         this.header = document.querySelector('header');
@@ -20,6 +24,15 @@ export class ScrollManager {
         this.boundHandleScroll = this.handleScroll.bind(this);
         this.boundHandleResize = this.handleResize.bind(this);
         this.boundHandleNavClick = this.handleNavClick.bind(this);
+        this.boundHandleHashChange = this.handleHashChange.bind(this);
+    }
+
+    /**
+     * @param {string} hash - URL hash including '#'
+     * @returns {boolean} True when the hash is a ProjectModal deep link
+     */
+    isProjectRoute(hash) {
+        return typeof hash === 'string' && hash.startsWith(ROUTES.PROJECT_PREFIX);
     }
 
     init() {
@@ -36,7 +49,7 @@ export class ScrollManager {
         window.addEventListener('resize', this.debouncedResize, { passive: true });
 
         // Listen for hash changes (browser back/forward, manual URL change)
-        window.addEventListener('hashchange', () => this.handleHashChange(), false);
+        window.addEventListener('hashchange', this.boundHandleHashChange, false);
 
         // Listen for page load to handle hash on refresh
         window.addEventListener('load', () => this.handleHashChange(), false);
@@ -132,8 +145,8 @@ export class ScrollManager {
                     this.activeSection = mostVisibleSection;
                     this.updateActiveNav();
                     
-                    // Update URL hash without scrolling
-                    if (window.history.replaceState) {
+                    // Update URL hash without scrolling (unless a project is open)
+                    if (window.history.replaceState && !this.isProjectRoute(window.location.hash)) {
                         window.history.replaceState(null, null, `#${mostVisibleSection}`);
                     }
                 }
@@ -241,9 +254,23 @@ export class ScrollManager {
     /**
      * Handle hash changes from URL (page refresh, browser back/forward, manual edit)
      * Works consistently across all screen sizes (mobile, tablet, desktop)
+     *
+     * @param {HashChangeEvent} [event] - Present when triggered by a hashchange
      */
-    handleHashChange() {
+    handleHashChange(event) {
         const hash = window.location.hash;
+
+        // Project deep links live inside the portfolio section
+        if (this.isProjectRoute(hash)) {
+            this.activeSection = 'portfolio';
+            this.updateActiveNav();
+            return;
+        }
+
+        // Leaving a project route (modal closed via Back) - stay where the user was
+        if (event?.oldURL && this.isProjectRoute(new URL(event.oldURL).hash)) {
+            return;
+        }
         
         if (hash && hash.length > 1) {
             // Hash exists (e.g., #about)
@@ -306,7 +333,7 @@ export class ScrollManager {
     cleanup() {
         window.removeEventListener('scroll', this.boundHandleScroll);
         window.removeEventListener('resize', this.boundHandleResize);
-        window.removeEventListener('hashchange', this.handleHashChange);
+        window.removeEventListener('hashchange', this.boundHandleHashChange);
 
         if (this.scrollTimeout) {
             clearTimeout(this.scrollTimeout);
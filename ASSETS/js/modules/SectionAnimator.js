@@ -59,7 +59,9 @@ export class SectionAnimator {
         ];
 
         animationConfig.forEach(config => {
-            const elements = document.querySelectorAll(config.selector);
+            // Elements prepared by an earlier pass keep their state
+            const elements = Array.from(document.querySelectorAll(config.selector))
+                .filter(el => !this.animatedElements.has(el));
             elements.forEach((el, index) => {
                 // Skip hero section - should always be visible
                 if (el.id === 'home') {
@@ -154,6 +156,15 @@ export class SectionAnimator {
         element.style.pointerEvents = 'auto';
     }
 
+    /**
+     * Prepares and observes elements added after init (e.g. project cards
+     * rendered once projects.json has loaded); already-tracked elements are skipped
+     */
+    observeNewElements() {
+        if (!this.observer) return;
+        this.setupAnimations();
+    }
+
     // Public method to refresh animations (useful after dynamic content changes)
     refresh() {
         this.animatedElements.forEach((config, element) => {
@@ -48,6 +48,12 @@ export { ThemeManager } from './ThemeManager.js';
  */
 export { HamburgerMenu } from './HamburgerMenu.js';
 
+/**
+ * ProjectGrid - Renders portfolio project cards from project data
+ * @see ProjectGrid.js for implementation details
+ */
+export { ProjectGrid } from './ProjectGrid.js';
+
 // ============================================================================
 // ANIMATION MODULES - Visual effects and transitions
 // ============================================================================
@@ -88,18 +94,42 @@ export { FormManager } from './FormManager.js';
  */
 export { PortfolioFilter } from './PortfolioFilter.js';
 
+/**
+ * PortfolioTimeline - Chronological grid/timeline view toggle
+ * @see PortfolioTimeline.js for implementation details
+ */
+export { PortfolioTimeline } from './PortfolioTimeline.js';
+
 /**
  * ProjectModal - Project detail modal display
  * @see ProjectModal.js for implementation details
  */
 export { ProjectModal } from './ProjectModal.js';
 
+/**
+ * ProjectCompare - Side-by-side comparison of 2-3 selected projects
+ * @see ProjectCompare.js for implementation details
+ */
+export { ProjectCompare } from './ProjectCompare.js';
+
+/**
+ * CertificationGrid - Renders certification cards into breakpoint-sized pages
+ * @see CertificationGrid.js for implementation details
+ */
+export { CertificationGrid } from './CertificationGrid.js';
+
 /**
  * CertificationNav - Certification carousel navigation
  * @see CertificationNav.js for implementation details
  */
 export { CertificationNav } from './CertificationNav.js';
 
+/**
+ * CertificationOverlay - Zoomable certificate preview with gallery navigation
+ * @see CertificationOverlay.js for implementation details
+ */
+export { CertificationOverlay } from './CertificationOverlay.js';
+
 // ============================================================================
 // OPTIONAL/DISABLED MODULES
 // ============================================================================
@@ -0,0 +1,98 @@
+/**
+ * DOM Templating Helpers
+ * Escape-by-default HTML templates for modules that build markup
+ *
+ * Every value interpolated into an `html` template is escaped unless it is
+ * itself the result of `html` (nested templates), so data from projects.js,
+ * form messages or URLs can never inject elements or attributes.
+ *
+ * @example
+ * setHTML(list, html`<li class="tag">${userText}</li>`);
+ * setHTML(list, html`${items.map(item => html`<li>${item}</li>`)}`);
+ */
+
+/** @type {Object.<string, string>} Characters replaced by escapeHTML */
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+/**
+ * Markup produced by the `html` tag
+ * Only instances of this class are trusted by setHTML() and nested templates
+ */
+export class SafeHTML {
+    /**
+     * @param {string} value - Already-escaped markup
+     */
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+/**
+ * Escapes HTML special characters (including quotes, so the result is also
+ * safe inside quoted attribute values)
+ *
+ * @param {*} str - Value to escape (null/undefined become an empty string)
+ * @returns {string} Escaped string safe for HTML insertion
+ *
+ * @example
+ * escapeHTML('<img src=x onerror="alert(1)">');
+ * // '&lt;img src=x onerror=&quot;alert(1)&quot;&gt;'
+ */
+export const escapeHTML = (str) => {
+    return String(str ?? '').replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+};
+
+/**
+ * Converts an interpolated value to markup
+ * SafeHTML passes through, arrays are joined, false/null/undefined render nothing
+ * @param {*} value
+ * @returns {string}
+ */
+const toMarkup = (value) => {
+    if (value instanceof SafeHTML) return value.value;
+    if (Array.isArray(value)) return value.map(toMarkup).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHTML(value);
+};
+
+/**
+ * Tagged template that escapes every interpolated value
+ *
+ * @param {TemplateStringsArray} strings - Literal template parts (trusted)
+ * @param {...*} values - Interpolated values (escaped unless SafeHTML)
+ * @returns {SafeHTML} Markup ready for setHTML()
+ */
+export const html = (strings, ...values) => {
+    const markup = strings.reduce((result, string, index) => {
+        return result + string + (index < values.length ? toMarkup(values[index]) : '');
+    }, '');
+    return new SafeHTML(markup);
+};
+
+/**
+ * Replaces an element's content with markup built by `html`
+ * Plain strings are rejected so unescaped markup cannot slip through
+ *
+ * @param {Element} element - Target element
+ * @param {SafeHTML} template - Result of an `html` template
+ * @returns {Element} The target element
+ * @throws {TypeError} If template was not produced by `html`
+ */
+export const setHTML = (element, template) => {
+    if (!(template instanceof SafeHTML)) {
+        throw new TypeError('setHTML() expects markup created with the html`` template tag');
+    }
+    element.innerHTML = template.value;
+    return element;
+};
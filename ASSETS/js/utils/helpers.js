@@ -50,4 +50,42 @@ export const isInViewport = (element, offset = 0) => {
         rect.top <= (window.innerHeight || document.documentElement.clientHeight) - offset &&
         rect.bottom >= offset
     );
-};
\ No newline at end of file
+};
+
+/**
+ * Copy text to the clipboard
+ * Falls back to a hidden textarea where the async Clipboard API is missing
+ * (plain http, older browsers)
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} Whether the copy succeeded
+ */
+export const copyToClipboard = async (text) => {
+    if (navigator.clipboard?.writeText && window.isSecureContext) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch {
+            // Permission denied - try the fallback below
+        }
+    }
+
+    const active = document.activeElement;
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+
+    let copied = false;
+    try {
+        copied = document.execCommand('copy');
+    } catch {
+        copied = false;
+    }
+
+    textarea.remove();
+    active?.focus?.();
+    return copied;
+};
@@ -0,0 +1,260 @@
+/**
+ * Syntax Highlighting
+ * Small, dependency-free highlighter for project code snippets
+ *
+ * Supported languages: C++, Python, JavaScript, PHP and SQL (plus the
+ * aliases listed in LANGUAGES). Unknown languages render as plain text.
+ *
+ * Each language is a list of sticky regex rules tried in order at every
+ * position; identifiers are then classed as keyword, literal or function
+ * call. This is deliberately lexical (no nesting, no regex literals) - good
+ * enough to read a snippet, small enough to ship without a CDN.
+ *
+ * Output is built with the `html` template tag, one <span class="code-line">
+ * per source line (CSS draws the line numbers), tokens as <span class="hl-*">:
+ * hl-comment, hl-string, hl-number, hl-keyword, hl-literal, hl-function,
+ * hl-meta (preprocessor, decorators, <?php) and hl-variable (PHP $vars).
+ *
+ * @example
+ * setHTML(code, highlightCode('int main() { return 0; }', 'cpp'));
+ * // <span class="code-line"><span class="hl-keyword">int</span> <span class="hl-function">main</span>() ...
+ */
+
+import { html } from './dom.js';
+
+/**
+ * @param {string} list - Space-separated words
+ * @returns {Set<string>}
+ */
+const words = (list) => new Set(list.split(/\s+/).filter(Boolean));
+
+// Shared token patterns (sticky: they only match at the current position)
+const LINE_COMMENT_SLASH = /\/\/.*/y;
+const LINE_COMMENT_HASH = /#.*/y;
+const BLOCK_COMMENT = /\/\*[\s\S]*?(?:\*\/|$)/y;
+const DOUBLE_QUOTED = /"(?:\\[\s\S]|[^\\"\n])*"?/y;
+const SINGLE_QUOTED = /'(?:\\[\s\S]|[^\\'\n])*'?/y;
+const NUMBER = /(?:0[xX][\da-fA-F]+|0[bB][01]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)[a-zA-Z]*/y;
+const IDENTIFIER = /[A-Za-z_][\w]*/y;
+
+/**
+ * @typedef {Object} HighlightLanguage
+ * @property {string} label - Display name (snippet header)
+ * @property {string[]} aliases - Other names accepted in `snippet.language`
+ * @property {Array<[string, RegExp]>} rules - [token type, sticky regex] tried in order
+ * @property {RegExp} identifier - Sticky regex for names
+ * @property {Set<string>} keywords
+ * @property {Set<string>} literals - Constants such as true/false/null
+ * @property {boolean} [caseInsensitive] - Compare keywords in lower case (SQL)
+ */
+
+/** @type {Object.<string, HighlightLanguage>} */
+const LANGUAGES = {
+    cpp: {
+        label: 'C++',
+        aliases: ['c++', 'cc', 'cxx', 'hpp', 'h', 'c'],
+        rules: [
+            ['comment', LINE_COMMENT_SLASH],
+            ['comment', BLOCK_COMMENT],
+            ['meta', /#[ \t]*[a-z]+(?:[ \t]*<[^>\n]*>)?/y],
+            ['string', /R"([^(\s]*)\([\s\S]*?\)\1"/y],
+            ['string', DOUBLE_QUOTED],
+            ['string', SINGLE_QUOTED],
+            ['number', NUMBER]
+        ],
+        identifier: IDENTIFIER,
+        keywords: words(`alignas alignof auto bool break case catch char class const constexpr
+            const_cast continue decltype default delete do double dynamic_cast else enum explicit
+            extern final float for friend goto if inline int long mutable namespace new noexcept
+            operator override private protected public register reinterpret_cast return short
+            signed size_t sizeof static static_assert static_cast struct switch template this
+            throw try typedef typeid typename union unsigned using virtual void volatile while`),
+        literals: words('true false nullptr NULL')
+    },
+
+    python: {
+        label: 'Python',
+        aliases: ['py', 'python3'],
+        rules: [
+            ['comment', LINE_COMMENT_HASH],
+            ['string', /[rRbBuUfF]{0,2}("""|''')[\s\S]*?(?:\1|$)/y],
+            ['string', /[rRbBuUfF]{0,2}"(?:\\[\s\S]|[^\\"\n])*"?/y],
+            ['string', /[rRbBuUfF]{0,2}'(?:\\[\s\S]|[^\\'\n])*'?/y],
+            ['meta', /@[A-Za-z_][\w.]*/y],
+            ['number', NUMBER]
+        ],
+        identifier: IDENTIFIER,
+        keywords: words(`and as assert async await break class continue def del elif else except
+            finally for from global if import in is lambda nonlocal not or pass raise return try
+            while with yield`),
+        literals: words('True False None self cls')
+    },
+
+    javascript: {
+        label: 'JavaScript',
+        aliases: ['js', 'mjs', 'jsx', 'node'],
+        rules: [
+            ['comment', LINE_COMMENT_SLASH],
+            ['comment', BLOCK_COMMENT],
+            ['string', /`(?:\\[\s\S]|[^\\`])*`?/y],
+            ['string', DOUBLE_QUOTED],
+            ['string', SINGLE_QUOTED],
+            ['number', NUMBER]
+        ],
+        identifier: /[A-Za-z_$][\w$]*/y,
+        keywords: words(`async await break case catch class const continue debugger default delete
+            do else export extends finally for from function if import in instanceof let new of
+            return static super switch this throw try typeof var void while with yield`),
+        literals: words('true false null undefined NaN Infinity')
+    },
+
+    php: {
+        label: 'PHP',
+        aliases: ['php8'],
+        rules: [
+            ['meta', /<\?(?:php|=)?|\?>/y],
+            ['comment', LINE_COMMENT_SLASH],
+            ['comment', LINE_COMMENT_HASH],
+            ['comment', BLOCK_COMMENT],
+            ['string', DOUBLE_QUOTED],
+            ['string', SINGLE_QUOTED],
+            ['variable', /\$[A-Za-z_]\w*/y],
+            ['number', NUMBER]
+        ],
+        identifier: IDENTIFIER,
+        keywords: words(`abstract and array as break callable case catch class clone const continue
+            declare default do echo else elseif empty extends final finally fn for foreach function
+            global if implements include include_once instanceof interface isset list match
+            namespace new or print private protected public readonly require require_once return
+            static switch throw trait try unset use var while xor yield`),
+        literals: words('true false null'),
+        caseInsensitive: true
+    },
+
+    sql: {
+        label: 'SQL',
+        aliases: ['mysql', 'sqlite', 'postgresql', 'psql'],
+        rules: [
+            ['comment', /--.*/y],
+            ['comment', BLOCK_COMMENT],
+            ['string', /'(?:''|[^'])*'?/y],
+            ['string', /`[^`\n]*`?/y],
+            ['number', NUMBER]
+        ],
+        identifier: IDENTIFIER,
+        keywords: words(`add all alter and as asc auto_increment begin between by case check column
+            commit constraint count create database default delete desc distinct drop else end
+            exists foreign from full group having if in index inner insert into is join key left
+            like limit not offset on or order outer primary references right rollback select set
+            sum avg min max table then transaction union unique update values view when where
+            int integer varchar char text date datetime timestamp decimal float boolean`),
+        literals: words('true false null'),
+        caseInsensitive: true
+    }
+};
+
+/**
+ * Resolves a snippet language name or alias to a supported language id
+ * @param {string} name - e.g. 'cpp', 'C++', 'py'
+ * @returns {string|null} Key of LANGUAGES, or null if unsupported
+ */
+export const resolveLanguage = (name) => {
+    const value = String(name ?? '').trim().toLowerCase();
+    if (Object.hasOwn(LANGUAGES, value)) return value;
+    return Object.keys(LANGUAGES).find(id => LANGUAGES[id].aliases.includes(value)) || null;
+};
+
+/**
+ * Display name for a snippet language (the raw name if unsupported)
+ * @param {string} name
+ * @returns {string}
+ */
+export const getLanguageLabel = (name) => {
+    const id = resolveLanguage(name);
+    return id ? LANGUAGES[id].label : String(name ?? '');
+};
+
+/** Languages highlightCode() understands, as { id, label } */
+export const SUPPORTED_LANGUAGES = Object.entries(LANGUAGES).map(([id, { label }]) => ({ id, label }));
+
+/**
+ * Splits source into typed tokens (type null = plain text)
+ * @param {string} source
+ * @param {HighlightLanguage} language
+ * @returns {Array<{type: string|null, text: string}>}
+ */
+const tokenize = (source, language) => {
+    const tokens = [];
+    let plain = '';
+    let i = 0;
+
+    const push = (type, text) => {
+        if (plain) tokens.push({ type: null, text: plain });
+        plain = '';
+        tokens.push({ type, text });
+    };
+
+    while (i < source.length) {
+        let matched = false;
+
+        for (const [type, pattern] of language.rules) {
+            pattern.lastIndex = i;
+            const match = pattern.exec(source);
+            if (match && match[0]) {
+                push(type, match[0]);
+                i += match[0].length;
+                matched = true;
+                break;
+            }
+        }
+        if (matched) continue;
+
+        language.identifier.lastIndex = i;
+        const name = language.identifier.exec(source)?.[0];
+        if (name) {
+            const word = language.caseInsensitive ? name.toLowerCase() : name;
+            i += name.length;
+
+            if (language.keywords.has(word)) {
+                push('keyword', name);
+            } else if (language.literals.has(word)) {
+                push('literal', name);
+            } else if (/^\s*\(/.test(source.slice(i, i + 20))) {
+                push('function', name);
+            } else {
+                plain += name;
+            }
+            continue;
+        }
+
+        plain += source[i];
+        i++;
+    }
+
+    if (plain) tokens.push({ type: null, text: plain });
+    return tokens;
+};
+
+/**
+ * Highlights source code
+ *
+ * @param {string} code - Source text
+ * @param {string} language - Language name or alias (see LANGUAGES)
+ * @returns {SafeHTML} Escaped markup: one .code-line span per line, separated by newlines
+ */
+export const highlightCode = (code, language) => {
+    const source = String(code ?? '').replace(/\r\n?/g, '\n').replace(/\n+$/, '');
+    const grammar = LANGUAGES[resolveLanguage(language)];
+    const tokens = grammar ? tokenize(source, grammar) : [{ type: null, text: source }];
+
+    // Tokens such as block comments can span lines; split them per line
+    const lines = [[]];
+    tokens.forEach(({ type, text }) => {
+        text.split('\n').forEach((part, index) => {
+            if (index) lines.push([]);
+            if (part) lines[lines.length - 1].push(type ? html`<span class="hl-${type}">${part}</span>` : part);
+        });
+    });
+
+    return html`${lines.map((parts, index) => html`${index ? '\n' : ''}<span class="code-line">${parts}</span>`)}`;
+};
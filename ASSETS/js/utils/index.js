@@ -8,13 +8,28 @@
  * Provides a single import point for reusable utility functions.
  * 
  * USAGE:
- * import { debounce, throttle, isInViewport } from './utils/index.js';
+ * import { debounce, throttle, isInViewport, searchIndex, html } from './utils/index.js';
  * 
  * ============================================================================
  */
 
 // Re-export all utilities from helpers.js
-export { debounce, throttle, isInViewport } from './helpers.js';
+export { debounce, throttle, isInViewport, copyToClipboard } from './helpers.js';
+
+// Weighted full-text search helpers
+export { tokenize, createSearchIndex, searchIndex, escapeRegExp } from './search.js';
+
+// Escape-by-default markup templating
+export { html, setHTML, escapeHTML, SafeHTML } from './dom.js';
+
+// Sanitizing Markdown subset for project copy
+export { renderMarkdown, renderInlineMarkdown } from './markdown.js';
+
+// Built-in syntax highlighting for project code snippets
+export { highlightCode, resolveLanguage, getLanguageLabel, SUPPORTED_LANGUAGES } from './highlight.js';
+
+// Dialog scroll lock and focus handling
+export { lockScroll, unlockScroll, getScrollbarWidth, getFocusableElements, trapFocus } from './modal.js';
 
 // ============================================================================
 // ADDITIONAL UTILITY FUNCTIONS
@@ -156,19 +171,3 @@ export function getEasing(type = 'easeOutQuart') {
 export function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
-
-/**
- * Escapes HTML special characters to prevent XSS
- * 
- * @param {string} str - String to escape
- * @returns {string} Escaped string safe for HTML insertion
- * 
- * @example
- * const safe = escapeHTML('<script>alert("xss")</script>');
- * // '&lt;script&gt;alert("xss")&lt;/script&gt;'
- */
-export function escapeHTML(str) {
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
-}
@@ -0,0 +1,276 @@
+/**
+ * Markdown Rendering
+ * Small, dependency-free Markdown subset for project copy (longDescription, features)
+ *
+ * Supported:
+ * - Blocks: paragraphs, # headings, - / * / + bullet lists, 1. numbered lists, ``` fenced code
+ * - Inline: **strong**, *emphasis* / _emphasis_, `code`, [links](https://...), \-escapes
+ *
+ * Output is built with the `html` template tag, so all text is escaped:
+ * raw HTML in the source is shown as text, never parsed. Links are only
+ * emitted for http(s), mailto and same-site relative URLs; anything else
+ * (javascript:, data:, //other.host, URLs with control characters, ...)
+ * renders as the plain link text.
+ *
+ * @example
+ * renderMarkdown('Built with **PHP**.\n\n- Login\n- `CRUD` pages');
+ * // <p>Built with <strong>PHP</strong>.</p><ul><li>Login</li><li><code>CRUD</code> pages</li></ul>
+ *
+ * renderInlineMarkdown('See [the report](https://example.com) <b>now</b>');
+ * // See <a href="https://example.com" target="_blank" rel="noopener noreferrer">the report</a> &lt;b&gt;now&lt;/b&gt;
+ */
+
+import { html } from './dom.js';
+
+/** Characters a backslash can escape */
+const ESCAPABLE = '\\`*_{}[]()#+-.!>|~<"\'';
+
+const FENCE = /^\s*```\s*([\w+#.-]*)\s*$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const BULLET_ITEM = /^\s{0,3}[-*+]\s+(.*)$/;
+const ORDERED_ITEM = /^\s{0,3}(\d{1,9})[.)]\s+(.*)$/;
+
+/**
+ * Checks whether a link target may be rendered as an anchor
+ *
+ * Browsers drop C0 control characters and whitespace from URLs (so
+ * "\u0001javascript:" or "java\tscript:" still run script) and treat
+ * backslashes like slashes ("/\evil.example" is another host), so any of
+ * those rejects the link outright. Scheme-less URLs must stay on this site.
+ *
+ * @param {string} url
+ * @returns {boolean}
+ */
+const isSafeLinkUrl = (url) => {
+    if (/[\u0000-\u0020\u007f\\]/.test(url)) return false;
+
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+    if (!scheme) return !url.startsWith('//'); // Relative path or #fragment, not protocol-relative
+    return ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+};
+
+/**
+ * Finds the closing emphasis delimiter for an opener at `start`
+ * @param {string} text
+ * @param {string} marker - '*', '_', '**' or '__'
+ * @param {number} start - Index just after the opener
+ * @returns {number} Index of the closer, or -1
+ */
+const findCloser = (text, marker, start) => {
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+            continue;
+        }
+        if (text[i] === '`') {
+            // Delimiters inside code spans do not count
+            const end = text.indexOf('`', i + 1);
+            if (end !== -1) i = end;
+            continue;
+        }
+        if (!text.startsWith(marker, i) || /\s/.test(text[i - 1])) continue;
+
+        if (marker.length === 1) {
+            // A single-character closer must not be part of a double delimiter
+            if (text[i + 1] === marker) {
+                i++;
+                continue;
+            }
+            if (marker === '_' && /\w/.test(text[i + 1] || '')) continue;
+        } else {
+            // '***both***': close with the last two of the run so the inner '*' stays emphasis
+            while (text[i + marker.length] === marker[0]) i++;
+            if (marker[0] === '_' && /\w/.test(text[i + marker.length] || '')) continue;
+        }
+        return i;
+    }
+    return -1;
+};
+
+/**
+ * Parses inline Markdown into escaped markup parts
+ * @param {string} text
+ * @returns {(string|SafeHTML)[]} Plain strings (escaped later) and markup
+ */
+const parseInline = (text) => {
+    const parts = [];
+    let buffer = '';
+    let i = 0;
+
+    const flush = () => {
+        if (buffer) parts.push(buffer);
+        buffer = '';
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+
+        // Backslash escapes
+        if (char === '\\' && ESCAPABLE.includes(text[i + 1] || '\0')) {
+            buffer += text[i + 1];
+            i += 2;
+            continue;
+        }
+
+        // Code spans (content is literal)
+        if (char === '`') {
+            const run = /^`+/.exec(text.slice(i))[0];
+            const end = text.indexOf(run, i + run.length);
+            if (end !== -1) {
+                flush();
+                const code = text.slice(i + run.length, end).replace(/^ (.+) $/, '$1');
+                parts.push(html`<code>${code}</code>`);
+                i = end + run.length;
+                continue;
+            }
+            buffer += run;
+            i += run.length;
+            continue;
+        }
+
+        // Links: [label](url "optional title")
+        if (char === '[') {
+            const link = /^\[([^\]]+)\]\(\s*((?:[^\s()]|\([^\s()]*\))+)(?:\s+"([^"]*)")?\s*\)/.exec(text.slice(i));
+            if (link) {
+                flush();
+                const [match, label, url, title] = link;
+                if (isSafeLinkUrl(url)) {
+                    const isExternal = /^https?:/i.test(url);
+                    parts.push(html`<a href="${url}"${title ? html` title="${title}"` : ''}${isExternal
+                        ? html` target="_blank" rel="noopener noreferrer"`
+                        : html` rel="noopener"`}>${parseInline(label)}</a>`);
+                } else {
+                    parts.push(...parseInline(label));
+                }
+                i += match.length;
+                continue;
+            }
+        }
+
+        // Strong / emphasis
+        if (char === '*' || char === '_') {
+            const marker = text[i + 1] === char ? char + char : char;
+            const opensWord = char === '*' || !/\w/.test(text[i - 1] || '');
+            const nextChar = text[i + marker.length];
+
+            if (opensWord && nextChar && !/\s/.test(nextChar)) {
+                const end = findCloser(text, marker, i + marker.length);
+                if (end !== -1) {
+                    flush();
+                    const inner = parseInline(text.slice(i + marker.length, end));
+                    parts.push(marker.length === 2 ? html`<strong>${inner}</strong>` : html`<em>${inner}</em>`);
+                    i = end + marker.length;
+                    continue;
+                }
+            }
+            buffer += marker;
+            i += marker.length;
+            continue;
+        }
+
+        buffer += char;
+        i++;
+    }
+
+    flush();
+    return parts;
+};
+
+/**
+ * Renders a single line of inline Markdown (no paragraphs or lists)
+ * Used for list-like fields such as project features
+ *
+ * @param {string} text - Markdown source
+ * @returns {SafeHTML} Escaped markup
+ */
+export const renderInlineMarkdown = (text) => html`${parseInline(String(text ?? '').trim())}`;
+
+/**
+ * Renders block-level Markdown
+ *
+ * @param {string} source - Markdown source
+ * @param {Object} [options]
+ * @param {number} [options.headingLevel=1] - Element level used for '#'
+ *   (e.g. 4 inside a section titled with <h3>); deeper levels stop at <h6>
+ * @returns {SafeHTML} Escaped markup
+ */
+export const renderMarkdown = (source, { headingLevel = 1 } = {}) => {
+    const lines = String(source ?? '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    const isBlockStart = (line) => FENCE.test(line) || HEADING.test(line)
+        || BULLET_ITEM.test(line) || ORDERED_ITEM.test(line);
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        // Fenced code block
+        const fence = FENCE.exec(line);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !/^\s*```\s*$/.test(lines[i])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++; // Closing fence (or end of input)
+            blocks.push(fence[1]
+                ? html`<pre><code class="language-${fence[1]}">${code.join('\n')}</code></pre>`
+                : html`<pre><code>${code.join('\n')}</code></pre>`);
+            continue;
+        }
+
+        // Heading
+        const heading = HEADING.exec(line);
+        if (heading) {
+            const level = Math.min(6, heading[1].length + headingLevel - 1);
+            blocks.push(html`<h${level}>${parseInline(heading[2])}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        // Bullet or numbered list (one level; indented lines continue the item)
+        const ordered = ORDERED_ITEM.exec(line);
+        if (ordered || BULLET_ITEM.test(line)) {
+            const pattern = ordered ? ORDERED_ITEM : BULLET_ITEM;
+            const items = [];
+
+            while (i < lines.length) {
+                const item = pattern.exec(lines[i]);
+                if (item) {
+                    items.push(ordered ? item[2] : item[1]);
+                } else if (lines[i].trim() && /^\s/.test(lines[i]) && items.length) {
+                    items[items.length - 1] += ` ${lines[i].trim()}`;
+                } else if (!lines[i].trim() && pattern.test(lines[i + 1] || '')) {
+                    // A blank line between items keeps the list going
+                } else {
+                    break;
+                }
+                i++;
+            }
+
+            const listItems = items.map(item => html`<li>${parseInline(item.trim())}</li>`);
+            const start = ordered ? Number(ordered[1]) : 1;
+            blocks.push(ordered
+                ? html`<ol${start !== 1 ? html` start="${start}"` : ''}>${listItems}</ol>`
+                : html`<ul>${listItems}</ul>`);
+            continue;
+        }
+
+        // Paragraph (runs until a blank line or another block)
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && (!paragraph.length || !isBlockStart(lines[i]))) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        blocks.push(html`<p>${parseInline(paragraph.join(' '))}</p>`);
+    }
+
+    return html`${blocks}`;
+};
@@ -0,0 +1,91 @@
+/**
+ * Dialog Utilities
+ * Page scroll lock and focus handling shared by ProjectModal and ProjectCompare
+ */
+
+import { KEYS } from '../config/constants.js';
+
+/** Matches the overlay fade-out in modal.css */
+const UNLOCK_DELAY = 200;
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+let unlockTimer = null;
+
+/**
+ * Width of the page scrollbar (padding added while locked to prevent layout shift)
+ * @returns {number}
+ */
+export const getScrollbarWidth = () => window.innerWidth - document.documentElement.clientWidth;
+
+/**
+ * Locks page scroll without position:fixed (prevents scroll jump)
+ */
+export const lockScroll = () => {
+    clearTimeout(unlockTimer);
+    document.documentElement.classList.add('modal-open');
+    document.body.classList.add('modal-open');
+    document.body.style.overflow = 'hidden';
+    document.body.style.paddingRight = getScrollbarWidth() + 'px';
+};
+
+/**
+ * Unlocks page scroll immediately; the modal-open classes and scrollbar
+ * padding are removed once the overlay has faded out
+ */
+export const unlockScroll = () => {
+    document.body.style.overflow = '';
+    document.documentElement.style.overflow = '';
+
+    clearTimeout(unlockTimer);
+    unlockTimer = setTimeout(() => {
+        document.documentElement.classList.remove('modal-open');
+        document.body.classList.remove('modal-open');
+        document.body.style.paddingRight = '';
+    }, UNLOCK_DELAY);
+};
+
+/**
+ * Visible, enabled elements inside a container that can take focus
+ * @param {HTMLElement} container
+ * @returns {HTMLElement[]}
+ */
+export const getFocusableElements = (container) =>
+    Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(element => !element.hidden && !element.closest('[hidden]'));
+
+/**
+ * Keeps Tab / Shift+Tab inside a dialog (call from its keydown handler)
+ * @param {HTMLElement} container - Dialog element
+ * @param {KeyboardEvent} e
+ */
+export const trapFocus = (container, e) => {
+    if (e.key !== KEYS.TAB) return;
+
+    const focusable = getFocusableElements(container);
+    if (!focusable.length) {
+        e.preventDefault();
+        container.focus();
+        return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+
+    // The dialog itself is focused right after opening: Shift+Tab would leave it
+    if (e.shiftKey && (active === first || active === container || !container.contains(active))) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && (active === last || !container.contains(active))) {
+        e.preventDefault();
+        first.focus();
+    }
+};
@@ -0,0 +1,87 @@
+/**
+ * Search Utility Functions
+ * Lightweight weighted full-text search used by the portfolio filter
+ */
+
+/**
+ * Splits text into lowercase search tokens
+ * Keeps '+', '#' and '.' inside tokens so terms like "C++" or "Node.js" survive
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Array of tokens
+ */
+export const tokenize = (text) => {
+    return String(text ?? '')
+        .toLowerCase()
+        .split(/[^a-z0-9+#.]+/)
+        .map(token => token.replace(/^\.+|\.+$/g, ''))
+        .filter(Boolean);
+};
+
+/**
+ * Builds a search index over a list of records
+ * Array fields (e.g. technologies) are joined into a single searchable string
+ * @param {Object[]} items - Records to index (must have an `id`)
+ * @param {Object.<string, number>} fields - Field names mapped to their ranking weight
+ * @returns {{id: string, fields: {text: string, tokens: string[], weight: number}[]}[]}
+ */
+export const createSearchIndex = (items, fields) => {
+    return items.map(item => ({
+        id: item.id,
+        fields: Object.entries(fields).map(([name, weight]) => {
+            const value = Array.isArray(item[name]) ? item[name].join(' ') : item[name];
+            const text = String(value ?? '').toLowerCase();
+            return { text, tokens: tokenize(text), weight };
+        })
+    }));
+};
+
+/**
+ * Scores indexed records against a query
+ * Every query term must match somewhere; exact token matches rank above
+ * prefix matches, which rank above plain substring matches
+ * @param {Array} index - Index from createSearchIndex()
+ * @param {string} query - Raw user query
+ * @returns {Map<string, number>|null} Matching ids mapped to score, highest first;
+ *   null when the query has no search terms (e.g. "" or "!!!"), meaning "no search"
+ */
+export const searchIndex = (index, query) => {
+    const terms = tokenize(query);
+    const results = [];
+
+    if (!terms.length) return null;
+
+    index.forEach(entry => {
+        let total = 0;
+
+        const allTermsMatch = terms.every(term => {
+            let termScore = 0;
+
+            entry.fields.forEach(field => {
+                if (field.tokens.includes(term)) {
+                    termScore += field.weight * 3;
+                } else if (field.tokens.some(token => token.startsWith(term))) {
+                    termScore += field.weight * 2;
+                } else if (field.text.includes(term)) {
+                    termScore += field.weight;
+                }
+            });
+
+            total += termScore;
+            return termScore > 0;
+        });
+
+        if (allTermsMatch) {
+            results.push([entry.id, total]);
+        }
+    });
+
+    results.sort((a, b) => b[1] - a[1]);
+    return new Map(results);
+};
+
+/**
+ * Escapes a string for literal use inside a RegExp
+ * @param {string} str - String to escape
+ * @returns {string}
+ */
+export const escapeRegExp = (str) => String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -0,0 +1,157 @@
+/**
+ * Escape-by-default templating tests (ASSETS/js/utils/dom.js)
+ * Hostile project data and notification text must render as inert text.
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { html, escapeHTML, setHTML, SafeHTML } from '../ASSETS/js/utils/dom.js';
+import { FormManager } from '../ASSETS/js/modules/FormManager.js';
+
+const HOSTILE = '<img src=x onerror="alert(\'x\')">';
+
+describe('escapeHTML', () => {
+    it('escapes text and every attribute quote character', () => {
+        assert.equal(escapeHTML(`<b>&"'\``), '&lt;b&gt;&amp;&quot;&#39;&#96;');
+    });
+
+    it('renders null and undefined as an empty string', () => {
+        assert.equal(escapeHTML(null), '');
+        assert.equal(escapeHTML(undefined), '');
+        assert.equal(escapeHTML(0), '0');
+    });
+});
+
+describe('html', () => {
+    it('escapes interpolated text', () => {
+        assert.equal(String(html`<p>${HOSTILE}</p>`),
+            '<p>&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;</p>');
+    });
+
+    it('cannot break out of double-, single- or backtick-quoted attributes', () => {
+        const value = '" onmouseover="a()\' onfocus=\'b()` x=`';
+        const expected = '&quot; onmouseover=&quot;a()&#39; onfocus=&#39;b()&#96; x=&#96;';
+
+        assert.equal(String(html`<a href="${value}">`), `<a href="${expected}">`);
+        assert.equal(String(html`<a title='${value}'>`), `<a title='${expected}'>`);
+        assert.equal(String(html`<a title=\`${value}\`>`), `<a title=\`${expected}\`>`);
+    });
+
+    it('escapes hostile project data in card markup', () => {
+        const project = {
+            title: '</h3><script>alert(1)</script>',
+            technologies: ['PHP', '<svg onload=alert(1)>']
+        };
+        const markup = String(html`<h3 class="project-title">${project.title}</h3>
+            <ul>${project.technologies.map(tech => html`<li data-tech="${tech}">${tech}</li>`)}</ul>`);
+
+        assert.ok(!markup.includes('<script'));
+        assert.ok(!markup.includes('<svg'));
+        assert.ok(markup.includes('&lt;/h3&gt;&lt;script&gt;alert(1)&lt;/script&gt;'));
+        assert.ok(markup.includes('<li data-tech="&lt;svg onload=alert(1)&gt;">&lt;svg onload=alert(1)&gt;</li>'));
+    });
+
+    it('does not double-escape nested templates or arrays of templates', () => {
+        const item = html`<li>${'a & b'}</li>`;
+        assert.equal(String(html`<ul>${item}</ul>`), '<ul><li>a &amp; b</li></ul>');
+        assert.equal(String(html`<ul>${['<x>', '&'].map(text => html`<li>${text}</li>`)}</ul>`),
+            '<ul><li>&lt;x&gt;</li><li>&amp;</li></ul>');
+    });
+
+    it('escapes plain strings inside arrays and skips false/null/undefined', () => {
+        assert.equal(String(html`${['<i>', html`<b>ok</b>`]}`), '&lt;i&gt;<b>ok</b>');
+        assert.equal(String(html`a${false}${null}${undefined}b`), 'ab');
+    });
+
+    it('returns SafeHTML', () => {
+        assert.ok(html`x` instanceof SafeHTML);
+    });
+});
+
+describe('setHTML', () => {
+    it('writes markup produced by html', () => {
+        const element = { innerHTML: '' };
+        assert.equal(setHTML(element, html`<b>${'<i>'}</b>`), element);
+        assert.equal(element.innerHTML, '<b>&lt;i&gt;</b>');
+    });
+
+    it('throws on a plain string and leaves the element untouched', () => {
+        const element = { innerHTML: 'before' };
+        assert.throws(() => setHTML(element, '<img src=x onerror=alert(1)>'), TypeError);
+        assert.throws(() => setHTML(element, { value: '<b>forged</b>' }), TypeError);
+        assert.equal(element.innerHTML, 'before');
+    });
+});
+
+describe('FormManager.showNotification', () => {
+    /** Minimal DOM: enough for showNotification to build and append its element */
+    class FakeElement {
+        constructor(tagName) {
+            this.tagName = tagName.toUpperCase();
+            this.className = '';
+            this.innerHTML = '';
+            this.classList = { add() {}, remove() {} };
+        }
+
+        querySelector() {
+            return new FakeElement('button');
+        }
+
+        addEventListener() {}
+
+        remove() {
+            const index = document.body.children.indexOf(this);
+            if (index !== -1) document.body.children.splice(index, 1);
+        }
+    }
+
+    const originals = {};
+
+    before(() => {
+        originals.document = globalThis.document;
+        originals.requestAnimationFrame = globalThis.requestAnimationFrame;
+        originals.setTimeout = globalThis.setTimeout;
+
+        globalThis.document = {
+            body: {
+                children: [],
+                appendChild(element) {
+                    this.children.push(element);
+                    return element;
+                }
+            },
+            createElement: (tagName) => new FakeElement(tagName),
+            querySelectorAll: (selector) => document.body.children
+                .filter(element => element.className.split(' ').includes(selector.slice(1)))
+        };
+        globalThis.requestAnimationFrame = (callback) => callback();
+        // Auto-dismiss timers are not run
+        globalThis.setTimeout = () => 0;
+    });
+
+    after(() => {
+        globalThis.setTimeout = originals.setTimeout;
+        globalThis.document = originals.document;
+        globalThis.requestAnimationFrame = originals.requestAnimationFrame;
+    });
+
+    it('renders the message as text, never as markup', () => {
+        new FormManager().showNotification('<img src=x onerror=alert(1)>', 'error');
+
+        const [notification] = document.body.children;
+        assert.equal(document.body.children.length, 1);
+        assert.equal(notification.className, 'form-notification form-notification--error');
+        assert.ok(notification.innerHTML.includes(
+            '<div class="form-notification__message">&lt;img src=x onerror=alert(1)&gt;</div>'));
+        assert.ok(!notification.innerHTML.includes('<img'));
+    });
+
+    it('replaces the previous notification', () => {
+        new FormManager().showNotification('Message sent successfully!', 'success');
+
+        assert.equal(document.body.children.length, 1);
+        assert.ok(document.body.children[0].innerHTML.includes('Success!'));
+    });
+});
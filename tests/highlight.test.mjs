@@ -0,0 +1,90 @@
+/**
+ * Syntax highlighting tests (ASSETS/js/utils/highlight.js)
+ * Strings, comments and keywords per language, and escaping of the source.
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { highlightCode, resolveLanguage, getLanguageLabel } from '../ASSETS/js/utils/highlight.js';
+
+/**
+ * Lists the highlighted tokens of the output as [type, text] pairs
+ * @param {string} code
+ * @param {string} language
+ * @returns {Array<[string, string]>}
+ */
+const tokensOf = (code, language) =>
+    [...String(highlightCode(code, language)).matchAll(/<span class="hl-(\w+)">([^<]*)<\/span>/g)]
+        .map(([, type, text]) => [type, text]);
+
+describe('highlightCode', () => {
+    it('keeps comment markers inside strings as string text', () => {
+        assert.deepEqual(tokensOf('const s = "a // b"; // note', 'javascript'), [
+            ['keyword', 'const'],
+            ['string', '&quot;a // b&quot;'],
+            ['comment', '// note']
+        ]);
+    });
+
+    it('handles escaped quotes and hash comments', () => {
+        assert.deepEqual(tokensOf("x = 'it\\'s' # done", 'python'), [
+            ['string', '&#39;it\\&#39;s&#39;'],
+            ['comment', '# done']
+        ]);
+    });
+
+    it('splits block comments across lines', () => {
+        assert.equal(String(highlightCode('/* multi\nline */ int x = 0;', 'cpp')),
+            '<span class="code-line"><span class="hl-comment">/* multi</span></span>\n'
+            + '<span class="code-line"><span class="hl-comment">line */</span> <span class="hl-keyword">int</span> '
+            + 'x = <span class="hl-number">0</span>;</span>');
+    });
+
+    it('classes keywords, literals, function calls and meta tokens', () => {
+        assert.deepEqual(tokensOf('def f(): return None', 'py'), [
+            ['keyword', 'def'],
+            ['function', 'f'],
+            ['keyword', 'return'],
+            ['literal', 'None']
+        ]);
+        assert.deepEqual(tokensOf('#include <vector>\nreturn true;', 'c++'), [
+            ['meta', '#include &lt;vector&gt;'],
+            ['keyword', 'return'],
+            ['literal', 'true']
+        ]);
+        assert.deepEqual(tokensOf('<?php echo $name; ?>', 'php'), [
+            ['meta', '&lt;?php'],
+            ['keyword', 'echo'],
+            ['variable', '$name'],
+            ['meta', '?&gt;']
+        ]);
+    });
+
+    it('matches SQL keywords in any case', () => {
+        assert.deepEqual(tokensOf('SELECT name from users -- all', 'sql'), [
+            ['keyword', 'SELECT'],
+            ['keyword', 'from'],
+            ['comment', '-- all']
+        ]);
+    });
+
+    it('escapes the source and renders unknown languages as plain text', () => {
+        assert.equal(String(highlightCode('"<b>" & x', 'js')),
+            '<span class="code-line"><span class="hl-string">&quot;&lt;b&gt;&quot;</span> &amp; x</span>');
+        assert.equal(String(highlightCode('if <x>', 'brainfuck')), '<span class="code-line">if &lt;x&gt;</span>');
+    });
+
+    it('ends an unterminated string at the end of its line', () => {
+        assert.deepEqual(tokensOf('"open\nnext', 'js'), [['string', '&quot;open']]);
+    });
+});
+
+describe('resolveLanguage', () => {
+    it('resolves names and aliases case-insensitively', () => {
+        assert.equal(resolveLanguage('JS'), 'javascript');
+        assert.equal(resolveLanguage('nope'), null);
+        assert.equal(getLanguageLabel('py'), 'Python');
+    });
+});
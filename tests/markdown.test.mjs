@@ -0,0 +1,102 @@
+/**
+ * Markdown rendering tests (ASSETS/js/utils/markdown.js)
+ * Input/output pairs for the subset used by project copy, including the
+ * link-scheme cases that must never become live anchors.
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown, renderInlineMarkdown } from '../ASSETS/js/utils/markdown.js';
+
+/**
+ * @param {Array<[string, string]>} pairs - [markdown, expected markup]
+ * @param {(source: string) => SafeHTML} render
+ */
+const assertPairs = (pairs, render) => {
+    pairs.forEach(([input, expected]) => {
+        assert.equal(String(render(input)), expected, `input: ${JSON.stringify(input)}`);
+    });
+};
+
+describe('renderInlineMarkdown', () => {
+    it('renders strong, emphasis and code spans', () => {
+        assertPairs([
+            ['Built with **PHP**', 'Built with <strong>PHP</strong>'],
+            ['*em* and _em_', '<em>em</em> and <em>em</em>'],
+            ['`a <b>`', '<code>a &lt;b&gt;</code>'],
+            ['2 * 3 * 4', '2 * 3 * 4'],
+            ['snake_case_name', 'snake_case_name']
+        ], renderInlineMarkdown);
+    });
+
+    it('renders nested emphasis', () => {
+        assertPairs([
+            ['***both***', '<strong><em>both</em></strong>'],
+            ['**bold with *nested* em**', '<strong>bold with <em>nested</em> em</strong>'],
+            ['[**bold** link](https://e.com)',
+                '<a href="https://e.com" target="_blank" rel="noopener noreferrer"><strong>bold</strong> link</a>']
+        ], renderInlineMarkdown);
+    });
+
+    it('keeps backslash-escaped characters literal', () => {
+        assertPairs([
+            ['\\[not a link\\](x)', '[not a link](x)'],
+            ['\\*literal\\*', '*literal*']
+        ], renderInlineMarkdown);
+    });
+
+    it('escapes raw HTML instead of parsing it', () => {
+        assertPairs([
+            ['<img src=x onerror=alert(1)>', '&lt;img src=x onerror=alert(1)&gt;']
+        ], renderInlineMarkdown);
+    });
+
+    it('renders http(s), mailto and same-site links', () => {
+        assertPairs([
+            ['[site](https://example.com)', '<a href="https://example.com" target="_blank" rel="noopener noreferrer">site</a>'],
+            ['[doc](/docs/a.pdf "Title")', '<a href="/docs/a.pdf" title="Title" rel="noopener">doc</a>'],
+            ['[top](#top)', '<a href="#top" rel="noopener">top</a>'],
+            ['[mail](mailto:a@b.c)', '<a href="mailto:a@b.c" rel="noopener">mail</a>']
+        ], renderInlineMarkdown);
+    });
+
+    it('renders unsafe link targets as plain text', () => {
+        assertPairs([
+            ['[x](javascript:alert(1))', 'x'],
+            ['[x](JAVASCRIPT:alert(1))', 'x'],
+            ['[x](data:text/html;base64,PHNjcmlwdD4=)', 'x'],
+            // Browsers strip leading control characters, leaving javascript:
+            ['[x](\u0001javascript:alert(1))', 'x'],
+            ['[x](\u007fjavascript:alert(1))', 'x'],
+            ['[x](java\u0000script:alert(1))', 'x'],
+            // Protocol-relative and backslash URLs point at another host
+            ['[x](//evil.example/a)', 'x'],
+            ['[x](/\\evil.example)', 'x']
+        ], renderInlineMarkdown);
+    });
+});
+
+describe('renderMarkdown', () => {
+    it('renders headings, paragraphs and lists', () => {
+        assertPairs([
+            ['# Title\n\nPara one\ncontinues.\n\n- a\n- b',
+                '<h1>Title</h1><p>Para one continues.</p><ul><li>a</li><li>b</li></ul>'],
+            ['1. one\n2. two', '<ol><li>one</li><li>two</li></ol>'],
+            ['3. three\n4. four', '<ol start="3"><li>three</li><li>four</li></ol>'],
+            ['Para\n- item', '<p>Para</p><ul><li>item</li></ul>']
+        ], renderMarkdown);
+    });
+
+    it('escapes fenced code', () => {
+        assertPairs([
+            ['```js\nconst a = "<b>";\n```', '<pre><code class="language-js">const a = &quot;&lt;b&gt;&quot;;</code></pre>']
+        ], renderMarkdown);
+    });
+
+    it('offsets heading levels and stops at h6', () => {
+        assert.equal(String(renderMarkdown('# H', { headingLevel: 4 })), '<h4>H</h4>');
+        assert.equal(String(renderMarkdown('### H', { headingLevel: 5 })), '<h6>H</h6>');
+    });
+});
@@ -0,0 +1,34 @@
+/**
+ * Project deep link tests (ASSETS/js/modules/ProjectModal.js)
+ * A #project/<id> hash from a shared link must never throw: init() and the
+ * popstate handler both read it.
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProjectModal } from '../ASSETS/js/modules/ProjectModal.js';
+
+describe('ProjectModal.getProjectIdFromHash', () => {
+    const modal = new ProjectModal();
+
+    it('returns a known project id', () => {
+        assert.equal(modal.getProjectIdFromHash('#project/campus-network'), 'campus-network');
+        assert.equal(modal.getProjectIdFromHash('#project/campus%2Dnetwork'), 'campus-network');
+    });
+
+    it('returns null for other hashes and unknown ids', () => {
+        assert.equal(modal.getProjectIdFromHash(''), null);
+        assert.equal(modal.getProjectIdFromHash('#portfolio'), null);
+        assert.equal(modal.getProjectIdFromHash('#project/'), null);
+        assert.equal(modal.getProjectIdFromHash('#project/not-a-project'), null);
+        assert.equal(modal.getProjectIdFromHash('#project/constructor'), null);
+    });
+
+    it('returns null instead of throwing for malformed escapes', () => {
+        ['#project/%E0%A4%A', '#project/%', '#project/%zz'].forEach(hash => {
+            assert.equal(modal.getProjectIdFromHash(hash), null, hash);
+        });
+    });
+});
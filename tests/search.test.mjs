@@ -0,0 +1,67 @@
+/**
+ * Portfolio search tests (ASSETS/js/utils/search.js)
+ * Tokenizing, weighted ranking, and queries with nothing to search for.
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, createSearchIndex, searchIndex, escapeRegExp } from '../ASSETS/js/utils/search.js';
+
+const PROJECTS = [
+    { id: 'library', title: 'Library System', description: 'Book loans in C++', technologies: ['C++', 'SQL'] },
+    { id: 'portfolio', title: 'Personal Portfolio', description: 'Static site', technologies: ['HTML', 'Node.js'] },
+    { id: 'network', title: 'Campus Network', description: 'VLAN design for a library', technologies: ['Cisco'] }
+];
+
+const index = createSearchIndex(PROJECTS, { title: 3, technologies: 2, description: 1 });
+
+describe('tokenize', () => {
+    it('lowercases and splits on punctuation and whitespace', () => {
+        assert.deepEqual(tokenize('Library  System, v2!'), ['library', 'system', 'v2']);
+    });
+
+    it('keeps +, # and inner dots so C++, C# and Node.js survive', () => {
+        assert.deepEqual(tokenize('C++ / C# / Node.js.'), ['c++', 'c#', 'node.js']);
+    });
+
+    it('returns no tokens for empty or punctuation-only input', () => {
+        ['', '   ', '!!!', '-', '...', null, undefined].forEach(text => {
+            assert.deepEqual(tokenize(text), [], String(text));
+        });
+    });
+});
+
+describe('searchIndex', () => {
+    it('returns null when the query has no search terms', () => {
+        ['', '!!!', '-', ' ... '].forEach(query => {
+            assert.equal(searchIndex(index, query), null, JSON.stringify(query));
+        });
+    });
+
+    it('requires every term to match', () => {
+        assert.deepEqual([...searchIndex(index, 'library sql').keys()], ['library']);
+        assert.equal(searchIndex(index, 'library python').size, 0);
+    });
+
+    it('ranks exact tokens above prefixes and weighted fields above others', () => {
+        // Title match (weight 3) beats a description match (weight 1)
+        assert.deepEqual([...searchIndex(index, 'library').keys()], ['library', 'network']);
+        assert.deepEqual([...searchIndex(index, 'libr').keys()], ['library', 'network']);
+        assert.ok(searchIndex(index, 'library').get('library') > searchIndex(index, 'libr').get('library'));
+    });
+
+    it('matches symbols and substrings', () => {
+        assert.deepEqual([...searchIndex(index, 'c++').keys()], ['library']);
+        assert.deepEqual([...searchIndex(index, 'node.js').keys()], ['portfolio']);
+        assert.deepEqual([...searchIndex(index, 'etwork').keys()], ['network']);
+    });
+});
+
+describe('escapeRegExp', () => {
+    it('escapes RegExp syntax', () => {
+        assert.ok(new RegExp(escapeRegExp('c++ (a.b)')).test('use c++ (a.b) here'));
+        assert.equal(escapeRegExp('a.b*c'), 'a\\.b\\*c');
+    });
+});
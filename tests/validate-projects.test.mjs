@@ -0,0 +1,81 @@
+/**
+ * Project data validator tests (validate-projects.js)
+ * Per-entry checks and duplicate ids, which JSON.parse would silently drop.
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkProjects, findDuplicateKeys } from '../validate-projects.js';
+import * as validation from '../ASSETS/js/data/validation.js';
+import { PROJECTS } from '../ASSETS/js/data/projects.js';
+
+/** A bundled project whose image exists in the repo */
+const VALID_PROJECT = PROJECTS['personal-portfolio'];
+
+/**
+ * Runs checkProjects and collects what it prints
+ * @returns {{errorCount: number, warningCount: number, lines: string[]}}
+ */
+const check = (projects, options = {}) => {
+    const lines = [];
+    const result = checkProjects(projects, validation, { ...options, log: line => lines.push(line) });
+    return { ...result, lines };
+};
+
+describe('findDuplicateKeys', () => {
+    it('finds top-level keys defined more than once', () => {
+        const text = '{ "a": { "id": "a" }, "b": {}, "a": { "id": "a" }, "c": 1, "b": [] }';
+        assert.deepEqual(findDuplicateKeys(text), ['a', 'b']);
+    });
+
+    it('ignores nested keys, string values and escaped quotes', () => {
+        const text = '{ "a": { "id": "x", "nested": { "id": "y" } }, "b": ["a", "a"], "c\\"": "a\\": 1", "d": "c\\"" }';
+        assert.deepEqual(findDuplicateKeys(text), []);
+    });
+
+    it('decodes escaped keys before comparing', () => {
+        assert.deepEqual(findDuplicateKeys('{ "a-b": 1, "a\\u002db": 2 }'), ['a-b']);
+    });
+});
+
+describe('checkProjects', () => {
+    it('passes a valid project', () => {
+        const result = check({ [VALID_PROJECT.id]: VALID_PROJECT });
+        assert.equal(result.errorCount, 0);
+        assert.deepEqual(result.lines.filter(line => line.includes('error:')), []);
+    });
+
+    it('reports missing fields, unparseable dates and placeholder URLs', () => {
+        const { title, ...project } = { ...VALID_PROJECT, date: 'Soon', liveUrl: '#' };
+        const { errorCount, warningCount, lines } = check({ [project.id]: project });
+
+        assert.equal(errorCount, 2);
+        assert.ok(lines.includes('    error:   "title" is required and must be a non-empty string'));
+        assert.ok(lines.includes('    error:   "date" must look like "November 2025" (got "Soon")'));
+        assert.ok(lines.includes('    warning: "liveUrl" is a placeholder ("#") - the modal hides this button'));
+        assert.ok(warningCount >= 1);
+    });
+
+    it('reports an id that does not match its key', () => {
+        const { errorCount, lines } = check({ other: VALID_PROJECT });
+        assert.equal(errorCount, 1);
+        assert.ok(lines.includes(`    error:   "id" "${VALID_PROJECT.id}" does not match its key "other"`));
+    });
+
+    it('reports duplicate ids found in the raw text', () => {
+        const text = JSON.stringify({ [VALID_PROJECT.id]: VALID_PROJECT })
+            .replace(/^\{(.*)\}$/, '{$1,$1}');
+        const { errorCount, lines } = check(JSON.parse(text), { duplicateKeys: findDuplicateKeys(text) });
+
+        assert.equal(errorCount, 1);
+        assert.ok(lines.includes(`    error:   duplicate id "${VALID_PROJECT.id}" - only the last entry with this key is kept`));
+    });
+
+    it('reports referenced files that do not exist', () => {
+        const { errorCount, lines } = check({ [VALID_PROJECT.id]: { ...VALID_PROJECT, image: 'images/missing.jpg' } });
+        assert.equal(errorCount, 1);
+        assert.ok(lines.includes('    error:   referenced file not found: images/missing.jpg'));
+    });
+});
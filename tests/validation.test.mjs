@@ -0,0 +1,99 @@
+/**
+ * Project data validation tests (ASSETS/js/data/validation.js)
+ * Required fields, dates and placeholder links of project entries, and
+ * snippet sources, which must stay on the site (the modal fetches them).
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateProject, isPlaceholderUrl, isSameOriginPath } from '../ASSETS/js/data/validation.js';
+
+const VALID_PROJECT = {
+    id: 'sample',
+    title: 'Sample',
+    category: 'web',
+    image: 'images/sample.jpg',
+    date: 'November 2025',
+    duration: '3 weeks',
+    description: 'Short',
+    longDescription: 'Long',
+    technologies: ['HTML'],
+    features: ['One'],
+    liveUrl: 'https://example.com',
+    githubUrl: 'https://github.com/user/repo'
+};
+
+describe('validateProject', () => {
+    it('accepts a complete entry', () => {
+        assert.deepEqual(validateProject(VALID_PROJECT), { errors: [], warnings: [] });
+    });
+
+    it('reports missing and empty required fields', () => {
+        const { title, ...withoutTitle } = VALID_PROJECT;
+        assert.deepEqual(validateProject(withoutTitle).errors,
+            ['"title" is required and must be a non-empty string']);
+        assert.deepEqual(validateProject({ ...VALID_PROJECT, technologies: [], features: ['', 'x'] }).errors, [
+            '"technologies" must be a non-empty array of strings',
+            '"features" contains an empty or non-string item'
+        ]);
+        assert.deepEqual(validateProject(null).errors, ['entry is not an object']);
+    });
+
+    it('reports dates and durations that cannot be parsed', () => {
+        assert.deepEqual(validateProject({ ...VALID_PROJECT, date: 'Someday', duration: 'a while' }).errors, [
+            '"date" must look like "November 2025" (got "Someday")',
+            '"duration" must look like "3 weeks" (got "a while")'
+        ]);
+    });
+
+    it('warns about placeholder links', () => {
+        assert.deepEqual(validateProject({ ...VALID_PROJECT, liveUrl: '#', githubUrl: '' }), {
+            errors: ['"githubUrl" is required and must be a non-empty string'],
+            warnings: [
+                '"liveUrl" is a placeholder ("#") - the modal hides this button',
+                '"githubUrl" is a placeholder ("") - the modal hides this button'
+            ]
+        });
+    });
+});
+
+describe('isPlaceholderUrl', () => {
+    it('treats #, empty and non-http(s) links as placeholders', () => {
+        ['#', '#top', '', '  ', null, 'javascript:alert(1)', 'mailto:a@b.c']
+            .forEach(url => assert.equal(isPlaceholderUrl(url), true, String(url)));
+        ['https://example.com', 'http://example.com/a', '/docs/a.pdf']
+            .forEach(url => assert.equal(isPlaceholderUrl(url), false, url));
+    });
+});
+
+describe('isSameOriginPath', () => {
+    it('accepts relative and root-relative paths', () => {
+        ['snippets/library/issue.cpp', './snippets/a.sql', '/snippets/a.sql', '../snippets/a.sql']
+            .forEach(path => assert.equal(isSameOriginPath(path), true, path));
+    });
+
+    it('accepts absolute URLs on the page origin', () => {
+        assert.equal(isSameOriginPath('https://site.example/snippets/a.js', 'https://site.example/'), true);
+    });
+
+    it('rejects other hosts, protocol-relative and backslash paths', () => {
+        [
+            'https://other.example/a.js',
+            'javascript:alert(1)',
+            'data:text/plain,x',
+            '//other.example/a.js',
+            ' //other.example/a.js',
+            '/\\other.example/a.js',
+            '\\\\other.example/a.js',
+            '/\t/other.example/a.js',
+            ''
+        ].forEach(path => assert.equal(isSameOriginPath(path), false, JSON.stringify(path)));
+    });
+
+    it('compares against the given page origin', () => {
+        assert.equal(isSameOriginPath('https://site.example/a.js', 'https://other.example/'), false);
+        assert.equal(isSameOriginPath('http://site.example/a.js', 'https://site.example/'), false);
+    });
+});
@@ -0,0 +1,191 @@
+/**
+ * Project Data Validator
+ * Checks ASSETS/data/projects.json (loaded by the site) and the bundled
+ * fallback in ASSETS/js/data/projects.js before a deploy:
+ * - every entry matches the Project typedef (required fields, parseable dates)
+ * - ids are unique and match their key (duplicate keys are found in the raw
+ *   projects.json text, since JSON.parse keeps only the last one)
+ * - referenced images exist in the repo
+ * - placeholder liveUrl/githubUrl values are flagged
+ * - the bundled fallback is flagged when it no longer matches projects.json
+ *
+ * Usage:
+ *   node validate-projects.js            (errors fail, warnings are reported)
+ *   node validate-projects.js --strict   (warnings fail too)
+ *
+ * checkProjects() and findDuplicateKeys() are exported for tests/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const rootDir = __dirname;
+const dataDir = path.join(rootDir, 'ASSETS', 'js', 'data');
+const jsonPath = path.join(rootDir, 'ASSETS', 'data', 'projects.json');
+const strict = process.argv.includes('--strict');
+
+function loadModule(file) {
+    return import(pathToFileURL(path.join(dataDir, file)).href);
+}
+
+/**
+ * Lists the keys that appear more than once in the top-level object of a JSON text
+ * @param {string} text - Raw projects.json contents
+ * @returns {string[]} Duplicated keys, in order of first appearance
+ */
+function findDuplicateKeys(text) {
+    const counts = new Map();
+    const colon = /\s*:/y;
+    let depth = 0;
+    let index = 0;
+
+    while (index < text.length) {
+        const char = text[index];
+
+        if (char === '"') {
+            let end = index + 1;
+            while (end < text.length && text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+            const literal = text.slice(index, end + 1);
+            index = end + 1;
+
+            colon.lastIndex = index;
+            if (depth === 1 && colon.test(text)) {
+                const key = JSON.parse(literal);
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+            continue;
+        }
+
+        if (char === '{' || char === '[') depth++;
+        if (char === '}' || char === ']') depth--;
+        index++;
+    }
+
+    return [...counts].filter(([, count]) => count > 1).map(([key]) => key);
+}
+
+/**
+ * Validates one set of projects and prints a line per entry
+ * @param {Object.<string, Object>} projects - Projects keyed by id
+ * @param {Object} validation - validateProject and getProjectAssetPaths from validation.js
+ * @param {Object} [options]
+ * @param {string[]} [options.duplicateKeys] - Keys the source defines more than once
+ * @param {Function} [options.log=console.log]
+ * @returns {{errorCount: number, warningCount: number}}
+ */
+function checkProjects(projects, { validateProject, getProjectAssetPaths }, { duplicateKeys = [], log = console.log } = {}) {
+    let errorCount = 0;
+    let warningCount = 0;
+
+    Object.entries(projects).forEach(([key, project]) => {
+        const { errors, warnings } = validateProject(project);
+
+        if (project && project.id !== key) {
+            errors.push(`"id" "${project.id}" does not match its key "${key}"`);
+        }
+
+        if (duplicateKeys.includes(key)) {
+            errors.push(`duplicate id "${key}" - only the last entry with this key is kept`);
+        }
+
+        if (project) {
+            getProjectAssetPaths(project).forEach(assetPath => {
+                if (!fs.existsSync(path.join(rootDir, assetPath))) {
+                    errors.push(`referenced file not found: ${assetPath}`);
+                }
+            });
+        }
+
+        errorCount += errors.length;
+        warningCount += warnings.length;
+
+        if (!errors.length && !warnings.length) {
+            log(`✓ ${key}`);
+            return;
+        }
+
+        log(`${errors.length ? '✗' : '⚠'} ${key}`);
+        errors.forEach(message => log(`    error:   ${message}`));
+        warnings.forEach(message => log(`    warning: ${message}`));
+    });
+
+    return { errorCount, warningCount };
+}
+
+async function main() {
+    // The data modules are browser ES modules, so load them with import().
+    // Node warns that it had to detect the module type - expected here, so hide it.
+    process.removeAllListeners('warning');
+    process.on('warning', warning => {
+        if (warning.code !== 'MODULE_TYPELESS_PACKAGE_JSON') console.warn(warning);
+    });
+
+    console.log('===========================================');
+    console.log('  Project Data Validator');
+    console.log('===========================================\n');
+
+    const { PROJECTS } = await loadModule('projects.js');
+    const validation = await loadModule('validation.js');
+
+    let errorCount = 0;
+    let warningCount = 0;
+    let projectCount = 0;
+
+    console.log(`-- ${path.relative(rootDir, jsonPath)}`);
+    let jsonProjects = null;
+    let duplicateKeys = [];
+    try {
+        const text = fs.readFileSync(jsonPath, 'utf8');
+        jsonProjects = JSON.parse(text);
+        duplicateKeys = findDuplicateKeys(text);
+    } catch (error) {
+        console.log(`✗ could not be read: ${error.message}`);
+        errorCount++;
+    }
+
+    if (jsonProjects !== null && (typeof jsonProjects !== 'object' || Array.isArray(jsonProjects))) {
+        console.log('✗ expected an object of projects keyed by id');
+        errorCount++;
+        jsonProjects = null;
+    }
+
+    if (jsonProjects) {
+        const result = checkProjects(jsonProjects, validation, { duplicateKeys });
+        errorCount += result.errorCount;
+        warningCount += result.warningCount;
+        projectCount += Object.keys(jsonProjects).length;
+    }
+
+    console.log('\n-- ASSETS/js/data/projects.js (bundled fallback)');
+    if (jsonProjects && JSON.stringify(jsonProjects) === JSON.stringify(PROJECTS)) {
+        console.log('✓ identical to projects.json');
+    } else {
+        const result = checkProjects(PROJECTS, validation);
+        errorCount += result.errorCount;
+        warningCount += result.warningCount;
+        projectCount += Object.keys(PROJECTS).length;
+
+        if (jsonProjects) {
+            console.log('⚠ differs from projects.json - copy the changes into projects.js');
+            warningCount++;
+        }
+    }
+
+    console.log('\n===========================================');
+    console.log(`  ${projectCount} projects, ${errorCount} errors, ${warningCount} warnings`);
+    console.log('===========================================\n');
+
+    if (errorCount || (strict && warningCount)) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('✗ Validation failed to run:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { checkProjects, findDuplicateKeys };